@@ -0,0 +1,315 @@
+// SVG status badges for OpenWrt Test Dashboard
+
+class BadgeGenerator {
+  // Badge colors, as used by shields.io
+  static COLORS = {
+    passing: "#4c1",
+    partial: "#dfb317",
+    failing: "#e05d44",
+    unknown: "#9f9f9f",
+  };
+
+  // Directory of the published badges, next to the reports of a version
+  static PUBLISH_DIR = "badges";
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+  }
+
+  /**
+   * Count the passed and run tests of the latest reports of some devices
+   *
+   * Skipped tests do not count as run.
+   */
+  static getCounts(devices) {
+    const counts = { passed: 0, total: 0, devices: 0, passingDevices: 0 };
+    devices.forEach((device) => {
+      const report = device.report;
+      if (!report) return;
+      counts.passed += report.passed;
+      counts.total += report.tests - report.skipped;
+      counts.devices++;
+      if (Utils.getReportStatus(report) === "pass") counts.passingDevices++;
+    });
+    return counts;
+  }
+
+  /**
+   * Get the color of a badge for the given counts
+   */
+  static getColor(counts) {
+    if (counts.total === 0) return BadgeGenerator.COLORS.unknown;
+    if (counts.passed === counts.total) return BadgeGenerator.COLORS.passing;
+    return counts.passed / counts.total >= 0.9
+      ? BadgeGenerator.COLORS.partial
+      : BadgeGenerator.COLORS.failing;
+  }
+
+  /**
+   * Get the message of a badge, e.g. "134/140 passing"
+   */
+  static getMessage(counts) {
+    if (counts.total === 0) return "no data";
+    return `${counts.passed}/${counts.total} passing`;
+  }
+
+  /**
+   * Estimate the width of a text in the 11px Verdana of the badges
+   */
+  getTextWidth(text) {
+    const width = [...text].reduce((sum, char) => {
+      if (/[ il.,:;|!'/]/.test(char)) return sum + 3.5;
+      if (/[mwMW]/.test(char)) return sum + 10;
+      return sum + 7;
+    }, 0);
+    return Math.ceil(width);
+  }
+
+  /**
+   * Render a flat badge with a label and a message as SVG
+   */
+  renderSvg(label, message, color) {
+    const escape = (text) =>
+      String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    const labelWidth = this.getTextWidth(label) + 10;
+    const messageWidth = this.getTextWidth(message) + 10;
+    const width = labelWidth + messageWidth;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escape(label)}: ${escape(message)}">
+  <title>${escape(label)}: ${escape(message)}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escape(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${escape(label)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escape(message)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${escape(message)}</text>
+  </g>
+</svg>
+`;
+  }
+
+  /**
+   * Render the badge of some devices as SVG
+   */
+  render(devices, label = "tests") {
+    const counts = BadgeGenerator.getCounts(devices);
+    return this.renderSvg(
+      label,
+      BadgeGenerator.getMessage(counts),
+      BadgeGenerator.getColor(counts),
+    );
+  }
+
+  /**
+   * Get the devices and label of a badge
+   *
+   * `kind` is "version", "target" or "device"; `name` selects the target
+   * or device.
+   */
+  getSubject(kind, name = "") {
+    const manager = this.deviceManager;
+    const version = manager.version || "tests";
+    if (kind === "target") {
+      return {
+        label: `${version} ${name}`,
+        devices: manager.devicesData.filter(
+          (d) => (d.target || "Unknown") === name,
+        ),
+      };
+    }
+    if (kind === "device") {
+      const device = manager.devicesData.find((d) => d.device === name);
+      return {
+        label: device ? manager.getDisplayName(device) : name,
+        devices: device ? [device] : [],
+      };
+    }
+    return { label: `openwrt ${version}`, devices: manager.devicesData };
+  }
+
+  /**
+   * Get the file name of a badge, e.g. "version.svg" or "target-ath79.svg"
+   */
+  getFilename(kind, name = "") {
+    const slug = name.replace(/[^\w.-]+/g, "_");
+    return kind === "version" ? "version.svg" : `${kind}-${slug}.svg`;
+  }
+
+  /**
+   * Get the path of a published badge relative to the version directory
+   */
+  getPath(kind, name = "") {
+    return `${BadgeGenerator.PUBLISH_DIR}/${this.getFilename(kind, name)}`;
+  }
+
+  /**
+   * Get the absolute URL a badge is published at, or null for local files
+   */
+  getPublishedUrl(kind, name = "") {
+    const manager = this.deviceManager;
+    if (manager.dataSource.isLocal) return null;
+    const url = manager.getResourceUrl(this.getPath(kind, name));
+    return new URL(url, window.location.href).toString();
+  }
+
+  /**
+   * List all badges of the current version: the version, each target and
+   * each device
+   */
+  getBadges() {
+    const manager = this.deviceManager;
+    const targets = [
+      ...new Set(manager.devicesData.map((d) => d.target || "Unknown")),
+    ].sort();
+    return [
+      ["version", ""],
+      ...targets.map((target) => ["target", target]),
+      ...manager.devicesData.map((device) => ["device", device.device]),
+    ].map(([kind, name]) => {
+      const subject = this.getSubject(kind, name);
+      return {
+        kind,
+        name,
+        label: subject.label,
+        filename: this.getFilename(kind, name),
+        path: this.getPath(kind, name),
+        url: this.getPublishedUrl(kind, name),
+        svg: this.render(subject.devices, subject.label),
+      };
+    });
+  }
+
+  /**
+   * Download a single badge, by its index in getBadges()
+   */
+  download(index) {
+    const badge = this.getBadges()[index];
+    if (!badge) return;
+    Utils.downloadFile(
+      badge.svg,
+      badge.filename,
+      "image/svg+xml;charset=utf-8",
+    );
+  }
+
+  /**
+   * Copy the Markdown embedding a published badge, by its index in
+   * getBadges()
+   */
+  async copyMarkdown(index) {
+    const badge = this.getBadges()[index];
+    if (!badge || !badge.url) return;
+    const markdown = `![${badge.label}](${badge.url})`;
+    if (await Utils.copyToClipboard(markdown)) {
+      Utils.showToast("Badge Markdown copied to clipboard", "success");
+    }
+  }
+
+  /**
+   * Download all badges of the current version
+   *
+   * The zip holds the badges/ directory; unpacking it into the version
+   * directory next to devices.json publishes the badges at the URLs shown
+   * in the modal.
+   */
+  downloadZip() {
+    const files = this.getBadges().map((badge) => ({
+      name: badge.path,
+      content: badge.svg,
+    }));
+    const version = this.deviceManager.version || "tests";
+    Utils.downloadFile(
+      Utils.createZip(files),
+      `openwrt-tests-${version}-badges.zip`,
+    );
+  }
+
+  /**
+   * Get the URL of the summary widget, optionally for a single device
+   */
+  getWidgetUrl(deviceId = null) {
+    const url = new URL("../widget/", window.location.href);
+    if (deviceId) url.searchParams.set("device", deviceId);
+    return url.toString();
+  }
+
+  /**
+   * Show the badges of the current version in the modal
+   */
+  show() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Status Badges";
+
+    const groups = { version: [], target: [], device: [] };
+    this.getBadges().forEach((badge, index) => {
+      const image = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(badge.svg)}`;
+      const copy = badge.url
+        ? `
+                    <button class="btn btn-link btn-sm p-0 ms-2" onclick="deviceManager.badges.copyMarkdown(${index})"
+                            title="Copy Markdown for ${Utils.escapeHtml(badge.url)}">
+                        <i class="bi bi-markdown"></i>
+                    </button>`
+        : "";
+      groups[badge.kind].push(`
+                <div class="col-md-6 col-lg-4 mb-2 d-flex align-items-center">
+                    <img src="${image}" alt="${Utils.escapeHtml(badge.label)}" class="me-2" />
+                    <button class="btn btn-link btn-sm p-0 ms-auto" onclick="deviceManager.badges.download(${index})"
+                            title="Download ${Utils.escapeHtml(badge.path)}">
+                        <i class="bi bi-download"></i>
+                    </button>${copy}
+                </div>
+            `);
+    });
+    const section = (title, items) => `
+            <h6 class="mt-3">${title}</h6>
+            <div class="row">${items.join("")}</div>
+        `;
+    const iframe = `<iframe src="${this.getWidgetUrl()}" width="320" height="200" frameborder="0"></iframe>`;
+
+    document.getElementById("modal-content").innerHTML = `
+            <p class="small text-muted">
+                Badges count the passed tests of the latest run, skipped tests excluded.
+                They are generated in the browser and are published by unpacking the
+                zip into the version directory, next to <code>devices.json</code>, as
+                <code>${BadgeGenerator.PUBLISH_DIR}/version.svg</code>,
+                <code>${BadgeGenerator.PUBLISH_DIR}/target-&lt;target&gt;.svg</code> and
+                <code>${BadgeGenerator.PUBLISH_DIR}/device-&lt;id&gt;.svg</code>.
+                Republish them with each run so that a README or a wiki page embedding
+                their URLs stays current.
+            </p>
+            <button class="btn btn-outline-primary btn-sm" onclick="deviceManager.badges.downloadZip()">
+                <i class="bi bi-file-earmark-zip"></i> All badges (zip)
+            </button>
+            ${section("Version", groups.version)}
+            ${section("Targets", groups.target)}
+            ${section("Devices", groups.device)}
+            <h6 class="mt-3">Summary widget</h6>
+            <p class="small text-muted mb-1">
+                Embed the pass state of all versions, or of a single device with
+                <code>?device=&lt;id&gt;</code>:
+            </p>
+            <pre class="small bg-light p-2 mb-0"><code>${Utils.escapeHtml(iframe)}</code></pre>
+        `;
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BadgeGenerator;
+}
@@ -0,0 +1,236 @@
+// IndexedDB cache for result data of OpenWrt Test Dashboard
+
+class ResultCache {
+  static DB_NAME = "openwrt-tests";
+  static STORE = "responses";
+  static instance = null;
+
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Check whether the browser supports IndexedDB
+   */
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Get the cache shared by all data sources of the page
+   */
+  static getInstance() {
+    if (!ResultCache.instance) {
+      ResultCache.instance = new ResultCache();
+    }
+    return ResultCache.instance;
+  }
+
+  /**
+   * Open the database, dropping entries older than CONFIG.CACHE_MAX_AGE
+   */
+  open() {
+    if (this.db) return this.db;
+
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ResultCache.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ResultCache.STORE, {
+          keyPath: "url",
+        });
+        store.createIndex("stored", "stored");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    this.db
+      .then(() => this.prune())
+      .catch((error) => console.warn("Result cache unavailable:", error));
+    return this.db;
+  }
+
+  /**
+   * Run a request against the object store and resolve with its result
+   */
+  async request(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ResultCache.STORE, mode);
+      const request = callback(transaction.objectStore(ResultCache.STORE));
+      transaction.oncomplete = () => resolve(request && request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the cached entry of a URL, or undefined
+   */
+  get(url) {
+    return this.request("readonly", (store) => store.get(url));
+  }
+
+  /**
+   * Store an entry of the form `{ url, text, etag, lastModified, stored }`
+   */
+  put(entry) {
+    return this.request("readwrite", (store) => store.put(entry));
+  }
+
+  /**
+   * Remove the entry of a URL
+   */
+  delete(url) {
+    return this.request("readwrite", (store) => store.delete(url));
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    return this.request("readwrite", (store) => store.clear());
+  }
+
+  /**
+   * Remove entries that have not been refreshed for a long time
+   */
+  prune() {
+    const range = IDBKeyRange.upperBound(Date.now() - CONFIG.CACHE_MAX_AGE);
+    return this.request("readwrite", (store) => {
+      store.index("stored").openCursor(range).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+}
+
+// Serves results from the cache first and flags them as stale; the caller
+// revalidates what it shows, e.g. DeviceManager through UpdateWatcher.check()
+// and its request queue. Requests with `cache: "no-cache"`, and all requests
+// of a network-first source, go to the network first and only fall back to
+// the cache when offline.
+class CachedDataSource {
+  constructor(source, cache, { networkFirst = false } = {}) {
+    this.source = source;
+    this.cache = cache;
+    this.label = source.label;
+    this.isLocal = false;
+    this.networkFirst = networkFirst;
+    // Set when cached data was served that may be outdated
+    this.stale = false;
+    this.offline = false;
+  }
+
+  /**
+   * Add caching to a data source where it makes sense
+   *
+   * Local files are not cached, and neither is anything if the browser has
+   * no IndexedDB. Pass `networkFirst` for pages that do not revalidate
+   * cached results themselves.
+   */
+  static wrap(source, options = {}) {
+    if (
+      !source ||
+      source.isLocal ||
+      source instanceof CachedDataSource ||
+      !ResultCache.isSupported()
+    ) {
+      return source;
+    }
+    return new CachedDataSource(source, ResultCache.getInstance(), options);
+  }
+
+  /**
+   * Get the URL of a resource, e.g. for links to raw artifacts
+   */
+  getUrl(path) {
+    return this.source.getUrl(path);
+  }
+
+  /**
+   * Build a Response from a cache entry
+   */
+  toResponse(entry) {
+    const headers = { "X-Cache": "hit" };
+    if (entry.etag) headers.ETag = entry.etag;
+    if (entry.lastModified) headers["Last-Modified"] = entry.lastModified;
+    return new Response(entry.text, { status: 200, headers });
+  }
+
+  /**
+   * Fetch a resource from the network and update the cache
+   */
+  async fetchNetwork(url, path, options) {
+    const response = await this.source.fetch(path, options);
+    this.offline = false;
+
+    try {
+      if (response.ok) {
+        await this.cache.put({
+          url,
+          text: await response.clone().text(),
+          etag: response.headers.get("ETag"),
+          lastModified: response.headers.get("Last-Modified"),
+          stored: Date.now(),
+        });
+      } else if (response.status === 404) {
+        await this.cache.delete(url);
+      }
+    } catch (error) {
+      console.warn(`Failed to cache ${url}:`, error);
+    }
+    return response;
+  }
+
+  /**
+   * Fetch a resource
+   */
+  async fetch(path, options = {}) {
+    const url = this.getUrl(path);
+    let entry = null;
+    try {
+      entry = await this.cache.get(url);
+    } catch (error) {
+      // Fall through to the network
+    }
+
+    const networkFirst =
+      this.networkFirst ||
+      ["no-cache", "no-store", "reload"].includes(options.cache);
+    if (entry && !networkFirst) {
+      this.stale = true;
+      return this.toResponse(entry);
+    }
+
+    try {
+      return await this.fetchNetwork(url, path, options);
+    } catch (error) {
+      if (!entry) throw error;
+      this.offline = true;
+      return this.toResponse(entry);
+    }
+  }
+
+  /**
+   * Drop the cached copy of a resource, e.g. a log replaced by a new run
+   */
+  invalidate(path) {
+    return this.cache.delete(this.getUrl(path)).catch(() => {});
+  }
+
+  /**
+   * Drop all cached results
+   */
+  clear() {
+    return this.cache.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ResultCache, CachedDataSource };
+}
@@ -0,0 +1,250 @@
+// Failure clustering by error message for OpenWrt Test Dashboard
+
+class FailureClusters {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.list = [];
+  }
+
+  /**
+   * Reduce an error message to a signature shared by failures with the
+   * same cause
+   *
+   * ANSI codes, addresses, hashes, paths and numbers differ between
+   * devices and runs and are replaced by placeholders.
+   */
+  normalize(text) {
+    return Utils.stripAnsi(text)
+      .replace(
+        /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        "<uuid>",
+      )
+      .replace(/\b(?:[0-9a-f]{2}[:-]){5}[0-9a-f]{2}\b/gi, "<mac>")
+      .replace(/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, "<ip>")
+      .replace(/\b[0-9a-f]{1,4}(?::[0-9a-f]{0,4}){2,7}\b/gi, "<ip>")
+      .replace(/\b0x[0-9a-f]+\b/gi, "<hex>")
+      .replace(/\b(?=[0-9a-f]*\d)[0-9a-f]{7,}\b/gi, "<hex>")
+      .replace(/(?:~|\.{1,2})?(?:\/[\w.@+-]+){2,}\/?/g, "<path>")
+      .replace(/\d+(?:\.\d+)?/g, "<n>")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, CONFIG.CLUSTER_SIGNATURE_LENGTH);
+  }
+
+  /**
+   * Get the line of a failure that describes its cause
+   *
+   * That is the first line of the message, or the last line of the
+   * details, where tracebacks put the exception.
+   */
+  getCauseLine(test) {
+    const lines = (text) =>
+      Utils.stripAnsi(text || "")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    const message = lines(test.message);
+    if (message.length > 0) return message[0];
+    const details = lines(test.details);
+    if (details.length > 0) return details[details.length - 1];
+    return "";
+  }
+
+  /**
+   * Get the signature of a failed test
+   */
+  getSignature(test) {
+    return this.normalize(this.getCauseLine(test)) || "(no message)";
+  }
+
+  /**
+   * Group the failed tests of all devices by signature, largest first
+   *
+   * Each cluster lists its `failures` as `{ device, test, index }` with the
+   * index of the test in the device's report.
+   */
+  build(devices = this.deviceManager.devicesData) {
+    const clusters = new Map();
+
+    devices.forEach((device) => {
+      if (!device.report) return;
+      device.report.testcases.forEach((test, index) => {
+        if (test.status !== "failed" && test.status !== "error") return;
+
+        const signature = this.getSignature(test);
+        if (!clusters.has(signature)) {
+          clusters.set(signature, {
+            id: Utils.hashText(signature),
+            signature,
+            example: this.getCauseLine(test),
+            failures: [],
+            devices: new Set(),
+            tests: new Set(),
+          });
+        }
+
+        const cluster = clusters.get(signature);
+        cluster.failures.push({ device, test, index });
+        cluster.devices.add(device.device);
+        cluster.tests.add(`${test.classname}.${test.name}`);
+      });
+    });
+
+    this.list = [...clusters.values()].sort(
+      (a, b) =>
+        b.devices.size - a.devices.size ||
+        b.failures.length - a.failures.length ||
+        a.signature.localeCompare(b.signature),
+    );
+    return this.list;
+  }
+
+  /**
+   * Find the cluster a failed test belongs to
+   */
+  getCluster(test) {
+    const signature = this.getSignature(test);
+    return this.list.find((c) => c.signature === signature) || null;
+  }
+
+  /**
+   * Render a link to the cluster of a failed test that hit other devices
+   *
+   * Uses the clusters of the last `build()`.
+   */
+  renderTestBadge(device, test) {
+    if (test.status !== "failed" && test.status !== "error") return "";
+
+    const cluster = this.getCluster(test);
+    if (!cluster || cluster.devices.size < 2) return "";
+    const others = cluster.devices.size - 1;
+    return `
+            <br><button class="btn btn-link btn-sm p-0 small" onclick="deviceManager.clusters.show('${cluster.id}')"
+                        title="Failures with the same cause">
+                <i class="bi bi-diagram-3"></i> Same cause on ${others} other device${others === 1 ? "" : "s"}
+            </button>
+        `;
+  }
+
+  /**
+   * Render one cluster as an accordion item
+   */
+  renderCluster(cluster, index, expanded) {
+    const manager = this.deviceManager;
+    const flaky = cluster.failures.filter(({ device, test }) =>
+      manager.flaky.getFlakyReason(device, test),
+    ).length;
+    const targets = new Set(
+      cluster.failures.map(({ device }) => device.target || "Unknown"),
+    );
+
+    const rows = cluster.failures
+      .map(({ device, test, index: testIndex }) => {
+        const flakyReason = manager.flaky.getFlakyReason(device, test);
+        return `
+                <tr>
+                    <td>
+                        <a href="#" onclick="deviceManager.showTestDetails('${device.device}'); return false;">${Utils.escapeHtml(manager.getDisplayName(device))}</a>
+                        <small class="text-muted d-block">${Utils.escapeHtml(device.target || "Unknown")}</small>
+                    </td>
+                    <td title="${Utils.escapeHtml(`${test.classname}.${test.name}`)}">
+                        ${Utils.escapeHtml(test.name)}
+                        ${flakyReason ? manager.flaky.renderBadge(flakyReason) : ""}
+                    </td>
+                    <td class="test-message">${manager.formatTestMessage(this.getCauseLine(test))}</td>
+                    <td class="text-end">
+                        <button class="btn btn-outline-danger btn-sm" onclick="deviceManager.issues.show('${device.device}', ${testIndex})" title="Report issue">
+                            <i class="bi bi-bug"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+      })
+      .join("");
+
+    return `
+            <div class="accordion-item">
+                <h2 class="accordion-header">
+                    <button class="accordion-button ${expanded ? "" : "collapsed"}" type="button"
+                            data-bs-toggle="collapse" data-bs-target="#cluster${index}">
+                        <span class="me-auto text-truncate font-monospace small" title="${Utils.escapeHtml(cluster.signature)}">${Utils.escapeHtml(cluster.signature)}</span>
+                        <span class="badge bg-danger ms-2">${cluster.devices.size} device${cluster.devices.size === 1 ? "" : "s"}</span>
+                        <span class="badge bg-secondary ms-1">${cluster.tests.size} test${cluster.tests.size === 1 ? "" : "s"}</span>
+                        <span class="badge bg-light text-dark ms-1">${targets.size} target${targets.size === 1 ? "" : "s"}</span>
+                        ${flaky > 0 ? `<span class="badge flaky-badge ms-1">${flaky} flaky</span>` : ""}
+                    </button>
+                </h2>
+                <div id="cluster${index}" class="accordion-collapse collapse ${expanded ? "show" : ""}" data-bs-parent="#clusterAccordion">
+                    <div class="accordion-body">
+                        <div class="test-message mw-100 mb-3">${manager.formatTestMessage(cluster.example)}</div>
+                        <div class="table-responsive">
+                            <table class="table table-sm test-results-table mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Device</th>
+                                        <th>Test</th>
+                                        <th>Message</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Render the top failure causes, expanding the cluster with `id`
+   */
+  render(id = null) {
+    const clusters = this.build();
+    if (clusters.length === 0) {
+      return '<p class="text-muted">No failing tests</p>';
+    }
+
+    let shown = clusters.slice(0, CONFIG.CLUSTER_TOP);
+    const selected = clusters.find((cluster) => cluster.id === id);
+    if (selected && !shown.includes(selected)) shown = [selected, ...shown];
+    const failures = clusters.reduce((sum, c) => sum + c.failures.length, 0);
+
+    return `
+            <p class="small text-muted">
+                ${failures} failure${failures === 1 ? "" : "s"} grouped into ${clusters.length} cause${clusters.length === 1 ? "" : "s"} by their error message,
+                with addresses, numbers and paths ignored.
+                ${clusters.length > shown.length ? `Showing the ${shown.length} most widespread.` : ""}
+            </p>
+            <div class="accordion" id="clusterAccordion">
+                ${shown
+                  .map((cluster, index) =>
+                    this.renderCluster(
+                      cluster,
+                      index,
+                      selected ? cluster === selected : index === 0,
+                    ),
+                  )
+                  .join("")}
+            </div>
+        `;
+  }
+
+  /**
+   * Show the top failure causes in the modal
+   */
+  show(id = null) {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Top Failure Causes";
+    document.getElementById("modal-content").innerHTML = this.render(id);
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FailureClusters;
+}
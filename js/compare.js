@@ -0,0 +1,435 @@
+// Cross-version comparison for OpenWrt Test Dashboard
+
+class ComparisonManager {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    // The matrix is not refreshed after loading, so it must not start from
+    // the results cached on the last visit
+    this.dataSource = CachedDataSource.wrap(new RemoteDataSource(baseUrl), {
+      networkFirst: true,
+    });
+    this.versions = [];
+    this.managers = {};
+    this.baseline = "stable";
+    this.candidate = "snapshot";
+    this.regressionsOnly = false;
+  }
+
+  /**
+   * Load versions.json and the devices of every version
+   */
+  async loadVersions() {
+    try {
+      Utils.clearMessages("error-container");
+      Utils.showLoading("matrix-container", "Loading versions...");
+
+      const response = await this.dataSource.fetch("versions.json");
+      if (!response.ok) {
+        throw new Error(
+          `Failed to load versions.json: ${response.status} ${response.statusText}`,
+        );
+      }
+
+      const { versions, issues } = Inventory.validateVersions(
+        await response.json(),
+      );
+      this.versions = versions;
+
+      await Promise.all(
+        this.versions.map(async (version) => {
+          const manager = new DeviceManager(
+            this.baseUrl,
+            version.name,
+            this.dataSource,
+          );
+          try {
+            await manager.fetchDevices();
+          } catch (error) {
+            console.warn(`Failed to load devices for ${version.name}:`, error);
+          }
+          this.managers[version.name] = manager;
+        }),
+      );
+
+      const names = this.versions.map((v) => v.name);
+      if (!names.includes(this.baseline)) this.baseline = names[1] || names[0];
+      if (!names.includes(this.candidate)) this.candidate = names[0];
+
+      this.renderDataIssues(issues);
+      this.renderVersionSelects();
+      this.render();
+      return this.managers;
+    } catch (error) {
+      console.error("Error loading versions:", error);
+      Utils.showError(
+        "error-container",
+        `Failed to load version data: ${Utils.escapeHtml(error.message)}`,
+      );
+      Utils.clearMessages("matrix-container");
+      throw error;
+    }
+  }
+
+  /**
+   * Get the union of device IDs across all versions
+   */
+  getDeviceIds() {
+    const ids = new Set();
+    this.versions.forEach((version) => {
+      const manager = this.managers[version.name];
+      manager.devicesData.forEach((device) => ids.add(device.device));
+    });
+    return [...ids].sort();
+  }
+
+  /**
+   * Find a device entry within a version
+   */
+  getDevice(versionName, deviceId) {
+    const manager = this.managers[versionName];
+    if (!manager) return null;
+    return manager.devicesData.find((d) => d.device === deviceId) || null;
+  }
+
+  /**
+   * Get the status of a single test of a device within a version
+   */
+  getTestStatus(versionName, deviceId, testKey) {
+    const device = this.getDevice(versionName, deviceId);
+    if (!device || !device.report) return null;
+    const test = device.report.testcases.find(
+      (tc) => `${tc.classname}.${tc.name}` === testKey,
+    );
+    return test ? test.status : null;
+  }
+
+  /**
+   * Check whether a test passes on the baseline but fails on the candidate
+   */
+  isRegression(deviceId, testKey) {
+    const before = this.getTestStatus(this.baseline, deviceId, testKey);
+    const after = this.getTestStatus(this.candidate, deviceId, testKey);
+    return before === "passed" && (after === "failed" || after === "error");
+  }
+
+  /**
+   * List all regressions between baseline and candidate
+   */
+  getRegressions() {
+    const regressions = [];
+    this.getDeviceIds().forEach((deviceId) => {
+      const device = this.getDevice(this.candidate, deviceId);
+      if (!device || !device.report) return;
+      device.report.testcases.forEach((test) => {
+        const testKey = `${test.classname}.${test.name}`;
+        if (this.isRegression(deviceId, testKey)) {
+          regressions.push({ deviceId, testKey, test });
+        }
+      });
+    });
+    return regressions;
+  }
+
+  /**
+   * Show the problems of versions.json and of the devices.json of each
+   * version
+   */
+  renderDataIssues(versionIssues) {
+    const container = document.getElementById("data-issues-container");
+    if (!container) return;
+
+    const deviceIssues = this.versions.flatMap((version) =>
+      this.managers[version.name].dataIssues.map((issue) => ({
+        ...issue,
+        file: `${version.path.replace(/\/?$/, "/")}${issue.file}`,
+      })),
+    );
+    container.innerHTML = Inventory.renderIssues([
+      ...versionIssues,
+      ...deviceIssues,
+    ]);
+  }
+
+  /**
+   * Set the versions to compare
+   */
+  setComparison(baseline, candidate) {
+    this.baseline = baseline;
+    this.candidate = candidate;
+    Utils.updateUrl({ baseline, candidate });
+    this.render();
+  }
+
+  /**
+   * Toggle showing only devices with regressions
+   */
+  setRegressionsOnly(regressionsOnly) {
+    this.regressionsOnly = regressionsOnly;
+    this.render();
+  }
+
+  /**
+   * Fill the baseline and candidate version selects
+   */
+  renderVersionSelects() {
+    const options = (selected) =>
+      this.versions
+        .map(
+          (version) =>
+            `<option value="${Utils.escapeHtml(version.name)}" ${version.name === selected ? "selected" : ""}>${Utils.escapeHtml(version.title || version.name)}</option>`,
+        )
+        .join("");
+
+    const baselineSelect = document.getElementById("baselineSelect");
+    const candidateSelect = document.getElementById("candidateSelect");
+    if (baselineSelect) baselineSelect.innerHTML = options(this.baseline);
+    if (candidateSelect) candidateSelect.innerHTML = options(this.candidate);
+  }
+
+  /**
+   * Render the regression summary and device matrix
+   */
+  render() {
+    this.renderRegressions();
+    this.renderMatrix();
+  }
+
+  /**
+   * Render the list of tests passing on baseline but failing on candidate
+   */
+  renderRegressions() {
+    const container = document.getElementById("regressions-container");
+    if (!container) return;
+
+    const regressions = this.getRegressions();
+    if (regressions.length === 0) {
+      container.innerHTML = `
+                <div class="alert alert-success" role="alert">
+                    <i class="bi bi-check-circle-fill me-2"></i>
+                    No tests pass on ${Utils.escapeHtml(this.baseline)} but fail on ${Utils.escapeHtml(this.candidate)}
+                </div>
+            `;
+      return;
+    }
+
+    const rows = regressions
+      .map(
+        ({ deviceId, testKey, test }) => `
+                <tr>
+                    <td>
+                        <a href="#" onclick="comparisonManager.showDeviceComparison('${deviceId}'); return false;">
+                            ${Utils.escapeHtml(deviceId)}
+                        </a>
+                    </td>
+                    <td>${Utils.escapeHtml(testKey)}</td>
+                    <td class="test-message">${Utils.parseAnsiCodes(Utils.escapeHtml(test.message || ""))}</td>
+                </tr>
+            `,
+      )
+      .join("");
+
+    container.innerHTML = `
+            <div class="card mb-4">
+                <div class="card-header bg-danger text-white">
+                    <i class="bi bi-exclamation-triangle-fill me-2"></i>
+                    ${regressions.length} regression${regressions.length === 1 ? "" : "s"}:
+                    passing on ${Utils.escapeHtml(this.baseline)}, failing on ${Utils.escapeHtml(this.candidate)}
+                </div>
+                <div class="card-body p-0">
+                    <div class="table-responsive">
+                        <table class="table table-sm test-results-table mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Device</th>
+                                    <th>Test</th>
+                                    <th>Message</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Render a single device × version cell
+   */
+  renderCell(versionName, deviceId) {
+    const device = this.getDevice(versionName, deviceId);
+    if (!device) {
+      return '<td class="compare-cell absent"><span class="text-muted">-</span></td>';
+    }
+
+    const status = Utils.getReportStatus(device.report);
+    if (status === "nodata") {
+      return '<td class="compare-cell nodata"><span class="status-badge loading">No Data</span></td>';
+    }
+
+    const report = device.report;
+    const failed = report.failures + report.errors;
+    return `
+            <td class="compare-cell ${status}">
+                <span class="status-badge ${status === "pass" ? "pass" : "failures"}">
+                    ${report.passed}/${report.tests}
+                </span>
+                ${failed > 0 ? `<small class="text-danger ms-1">${failed} failed</small>` : ""}
+            </td>
+        `;
+  }
+
+  /**
+   * Render the device × version matrix
+   */
+  renderMatrix() {
+    const container = document.getElementById("matrix-container");
+    if (!container) return;
+
+    const regressedDevices = new Set(
+      this.getRegressions().map((r) => r.deviceId),
+    );
+    const deviceIds = this.getDeviceIds().filter(
+      (id) => !this.regressionsOnly || regressedDevices.has(id),
+    );
+
+    if (deviceIds.length === 0) {
+      container.innerHTML = `
+                <div class="text-center py-5">
+                    <i class="bi bi-inbox fs-1 text-muted"></i>
+                    <p class="mt-2 text-muted">No devices match your filter criteria</p>
+                </div>
+            `;
+      return;
+    }
+
+    const header = this.versions
+      .map(
+        (version) =>
+          `<th><a href="../${Utils.escapeHtml(version.path)}">${Utils.escapeHtml(version.title || version.name)}</a></th>`,
+      )
+      .join("");
+
+    const rows = deviceIds
+      .map((deviceId) => {
+        const entry = this.versions
+          .map((v) => this.getDevice(v.name, deviceId))
+          .find(Boolean);
+        const displayName = entry.name || deviceId;
+        const cells = this.versions
+          .map((version) => this.renderCell(version.name, deviceId))
+          .join("");
+
+        return `
+                <tr class="${regressedDevices.has(deviceId) ? "compare-regression" : ""}">
+                    <td>
+                        <a href="#" onclick="comparisonManager.showDeviceComparison('${deviceId}'); return false;">
+                            ${Utils.escapeHtml(displayName)}
+                        </a>
+                        <small class="text-muted d-block">${Utils.escapeHtml(entry.target || "Unknown")}</small>
+                    </td>
+                    ${cells}
+                </tr>
+            `;
+      })
+      .join("");
+
+    container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table compare-matrix bg-white">
+                    <thead>
+                        <tr>
+                            <th>Device</th>
+                            ${header}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+  }
+
+  /**
+   * Show the test × version drill-down for a device
+   */
+  showDeviceComparison(deviceId) {
+    const testKeys = new Set();
+    this.versions.forEach((version) => {
+      const device = this.getDevice(version.name, deviceId);
+      if (device && device.report) {
+        device.report.testcases.forEach((tc) =>
+          testKeys.add(`${tc.classname}.${tc.name}`),
+        );
+      }
+    });
+
+    const statusClass = (status) =>
+      status === "passed"
+        ? "success"
+        : status === "skipped"
+          ? "warning"
+          : "danger";
+
+    const header = this.versions
+      .map((v) => `<th>${Utils.escapeHtml(v.title || v.name)}</th>`)
+      .join("");
+
+    const rows = [...testKeys]
+      .sort()
+      .map((testKey) => {
+        const cells = this.versions
+          .map((version) => {
+            const status = this.getTestStatus(version.name, deviceId, testKey);
+            return status
+              ? `<td><span class="badge bg-${statusClass(status)}">${status}</span></td>`
+              : '<td><span class="text-muted">-</span></td>';
+          })
+          .join("");
+
+        return `
+                <tr class="${this.isRegression(deviceId, testKey) ? "compare-regression" : ""}">
+                    <td>${Utils.escapeHtml(testKey.split(".").slice(-2).join("."))}</td>
+                    ${cells}
+                </tr>
+            `;
+      })
+      .join("");
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `Version Comparison - ${deviceId}`;
+    document.getElementById("modal-content").innerHTML =
+      testKeys.size === 0
+        ? '<p class="text-muted">No test data available for this device</p>'
+        : `
+            <p class="small text-muted">
+                Highlighted rows pass on ${Utils.escapeHtml(this.baseline)} but fail on ${Utils.escapeHtml(this.candidate)}.
+            </p>
+            <div class="table-responsive">
+                <table class="table table-sm test-results-table">
+                    <thead>
+                        <tr>
+                            <th>Test</th>
+                            ${header}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ComparisonManager;
+}
@@ -0,0 +1,144 @@
+// Data sources for OpenWrt Test Dashboard
+//
+// A data source resolves paths relative to the results root (e.g.
+// "snapshot/devices.json") and returns fetch Responses, so the dashboard
+// works the same against the artifact server or a local results directory.
+
+class RemoteDataSource {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.label = this.baseUrl;
+    this.isLocal = false;
+  }
+
+  /**
+   * Get the URL of a resource, e.g. for links to raw artifacts
+   */
+  getUrl(path) {
+    return `${this.baseUrl}/${path}`;
+  }
+
+  /**
+   * Fetch a resource
+   */
+  fetch(path, options = {}) {
+    return fetch(this.getUrl(path), options);
+  }
+}
+
+class LocalDataSource {
+  constructor(files, label = "Local files") {
+    this.files = files;
+    this.label = label;
+    this.isLocal = true;
+    this.objectUrls = new Map();
+  }
+
+  /**
+   * Create a data source from the FileList of a directory picker
+   */
+  static fromFileList(fileList) {
+    const files = new Map();
+    let root = null;
+
+    Array.from(fileList).forEach((file) => {
+      const segments = (file.webkitRelativePath || file.name).split("/");
+      if (segments.length > 1) {
+        root = root || segments[0];
+        segments.shift();
+      }
+      files.set(segments.join("/"), file);
+    });
+
+    return new LocalDataSource(files, root || "Local files");
+  }
+
+  /**
+   * Create a data source from dropped files and directories
+   */
+  static async fromDataTransfer(dataTransfer) {
+    const files = new Map();
+    const entries = Array.from(dataTransfer.items)
+      .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+      .filter(Boolean);
+
+    // A single dropped directory is the results root itself
+    const root =
+      entries.length === 1 && entries[0].isDirectory ? entries[0] : null;
+
+    const readEntries = (reader) =>
+      new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    const getFile = (entry) =>
+      new Promise((resolve, reject) => entry.file(resolve, reject));
+
+    const walk = async (entry, prefix) => {
+      if (entry.isFile) {
+        files.set(`${prefix}${entry.name}`, await getFile(entry));
+        return;
+      }
+      const reader = entry.createReader();
+      let batch;
+      // readEntries returns directory contents in batches
+      while ((batch = await readEntries(reader)).length > 0) {
+        for (const child of batch) {
+          await walk(child, `${prefix}${entry.name}/`);
+        }
+      }
+    };
+
+    if (root) {
+      const reader = root.createReader();
+      let batch;
+      while ((batch = await readEntries(reader)).length > 0) {
+        for (const child of batch) await walk(child, "");
+      }
+    } else {
+      for (const entry of entries) await walk(entry, "");
+    }
+
+    return new LocalDataSource(files, root ? root.name : "Local files");
+  }
+
+  /**
+   * Find the file for a path
+   *
+   * Falls back to the path without its first segment, so a results
+   * directory without per-version subdirectories works for any version.
+   */
+  resolve(path) {
+    if (this.files.has(path)) return this.files.get(path);
+    const withoutVersion = path.split("/").slice(1).join("/");
+    return this.files.get(withoutVersion) || null;
+  }
+
+  /**
+   * Get an object URL for a local file, or null if it does not exist
+   */
+  getUrl(path) {
+    const file = this.resolve(path);
+    if (!file) return null;
+    if (!this.objectUrls.has(file)) {
+      this.objectUrls.set(file, URL.createObjectURL(file));
+    }
+    return this.objectUrls.get(file);
+  }
+
+  /**
+   * Fetch a local file as a Response
+   */
+  async fetch(path) {
+    const file = this.resolve(path);
+    if (!file) {
+      return new Response(null, { status: 404, statusText: "Not Found" });
+    }
+    return new Response(file, {
+      status: 200,
+      headers: { "Content-Type": file.type || "text/plain" },
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RemoteDataSource, LocalDataSource };
+}
@@ -0,0 +1,317 @@
+// Device detail page for OpenWrt Test Dashboard
+
+class DevicePage {
+  // Views that can be opened with ?view=
+  static VIEWS = ["overview", "tests", "log", "history", "durations"];
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.deviceId = null;
+    this.view = "overview";
+  }
+
+  /**
+   * Switch the page to the detail view of a device
+   *
+   * The page is rendered once the devices have been loaded.
+   */
+  open(deviceId, view = "overview") {
+    this.deviceId = deviceId;
+    this.view = DevicePage.VIEWS.includes(view) ? view : "overview";
+
+    document.getElementById("device-list-view").classList.add("d-none");
+    document
+      .getElementById("device-detail-container")
+      .classList.remove("d-none");
+    Utils.showLoading("device-detail-container", "Loading device...");
+  }
+
+  /**
+   * Render the detail view of the current device
+   */
+  render() {
+    const container = document.getElementById("device-detail-container");
+    if (!container || !this.deviceId) return;
+
+    const manager = this.deviceManager;
+    const device = manager.devicesData.find((d) => d.device === this.deviceId);
+    if (!device) {
+      container.innerHTML = `
+                ${this.renderBackLink()}
+                <div class="error-message">
+                    <i class="bi bi-question-circle"></i>
+                    <p>Device ${Utils.escapeHtml(this.deviceId)} is not part of this version.</p>
+                </div>
+            `;
+      return;
+    }
+
+    document.title = `${device.name || device.device} - OpenWrt Test Dashboard`;
+
+    const tabs = [
+      ["overview", "Overview", "bi-info-circle"],
+      ["tests", "Tests", "bi-list-ul"],
+      ["log", "Boot Log", "bi-terminal"],
+      ["history", "History", "bi-clock-history"],
+      ["durations", "Durations", "bi-hourglass-split"],
+    ];
+    const nav = tabs
+      .map(
+        ([view, label, icon]) => `
+                <li class="nav-item" role="presentation">
+                    <button class="nav-link ${view === this.view ? "active" : ""}" id="device-tab-${view}"
+                            data-bs-toggle="tab" data-bs-target="#device-pane-${view}" data-view="${view}"
+                            type="button" role="tab">
+                        <i class="bi ${icon}"></i> ${label}
+                    </button>
+                </li>
+            `,
+      )
+      .join("");
+    const panes = tabs
+      .map(
+        ([view]) => `
+                <div class="tab-pane fade ${view === this.view ? "show active" : ""}" id="device-pane-${view}" role="tabpanel"></div>
+            `,
+      )
+      .join("");
+
+    container.innerHTML = `
+            ${this.renderBackLink()}
+            ${this.renderHeader(device)}
+            <ul class="nav nav-tabs mb-3" role="tablist">
+                ${nav}
+            </ul>
+            <div class="tab-content">
+                ${panes}
+            </div>
+        `;
+
+    container.querySelectorAll("[data-view]").forEach((tab) => {
+      tab.addEventListener("shown.bs.tab", () => this.showView(tab.dataset.view));
+    });
+    this.showView(this.view);
+  }
+
+  /**
+   * Render the name, IDs and actions of the device above the tabs
+   */
+  renderHeader(device) {
+    return `
+            <div class="device-row ${this.getStatusClass(device)} mb-3">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <h3 class="mb-1">${Utils.escapeHtml(device.name || device.device)}</h3>
+                        <small class="text-muted">
+                            ${Utils.escapeHtml(device.device)} | ${Utils.escapeHtml(device.target || "Unknown")} | ${Utils.escapeHtml(device.proxy || "Unknown")}
+                        </small>
+                    </div>
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-success" onclick="deviceManager.downloadEnv('${device.device}')">
+                            <i class="bi bi-download"></i> Env
+                        </button>
+                        <button class="btn btn-outline-success" onclick="deviceManager.labgrid.show('${device.device}')" title="Labgrid environment formats">
+                            <i class="bi bi-sliders"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" onclick="deviceManager.copyDeviceUrl('${device.device}')">
+                            <i class="bi bi-link-45deg"></i> Copy Link
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Update the detail view after the device changed
+   *
+   * Panes are rendered again when they are shown next. The boot log is
+   * only reloaded for a new run, so that its scroll position and search
+   * survive updates of the same run.
+   */
+  refresh(newRun = true) {
+    const container = document.getElementById("device-detail-container");
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === this.deviceId,
+    );
+    const header = container && container.querySelector(".device-row");
+    if (!device || !header || !container.querySelector(".tab-content")) {
+      this.render();
+      return;
+    }
+
+    header.outerHTML = this.renderHeader(device);
+    DevicePage.VIEWS.forEach((view) => {
+      if (view === "log" && !newRun) return;
+      const pane = document.getElementById(`device-pane-${view}`);
+      if (pane) delete pane.dataset.loaded;
+    });
+    this.showView(this.view);
+  }
+
+  /**
+   * Render the content of a view and remember it in the URL
+   */
+  showView(view) {
+    this.view = view;
+    Utils.updateUrl({ view: view === "overview" ? null : view });
+    if (view !== "log" && window.location.hash) {
+      window.history.replaceState(
+        {},
+        "",
+        `${window.location.pathname}${window.location.search}`,
+      );
+    }
+
+    const manager = this.deviceManager;
+    const device = manager.devicesData.find((d) => d.device === this.deviceId);
+    const pane = document.getElementById(`device-pane-${view}`);
+    if (!device || !pane || pane.dataset.loaded) return;
+    pane.dataset.loaded = "true";
+
+    if (view === "overview") {
+      pane.innerHTML = this.renderOverview(device);
+    } else if (view === "tests") {
+      pane.innerHTML = device.report
+        ? manager.renderTestDetails(device)
+        : '<p class="text-muted">No test data available for this device</p>';
+    } else if (view === "log") {
+      manager.renderBootLog(device, pane);
+    } else if (view === "history") {
+      pane.innerHTML = `
+                <div class="mb-3">${manager.history.renderSparkline(device.device)}</div>
+                ${manager.history.renderHistoryTable(device.device)}
+            `;
+    } else if (view === "durations") {
+      pane.innerHTML = manager.durations.renderDevice(device);
+    }
+  }
+
+  /**
+   * Render device metadata, firmware info and artifact links
+   */
+  renderOverview(device) {
+    const manager = this.deviceManager;
+    const report = device.report;
+    const resultsPath = manager.getResultsPath(device);
+
+    // Fields set while loading are not part of the device's metadata
+    const runtime = ["report", "loading", "loadError", "status"];
+    const metadata = Object.entries(device)
+      .filter(([key]) => !runtime.includes(key))
+      .map(
+        ([key, value]) => `
+                <dt class="col-sm-4 text-muted fw-normal">${Utils.escapeHtml(key)}</dt>
+                <dd class="col-sm-8">${Utils.escapeHtml(String(value))}</dd>
+            `,
+      )
+      .join("");
+
+    const previous = manager.durations.getPreviousReport(device);
+    const firmwareChange =
+      report && previous
+        ? Utils.formatRevisionRange(
+            previous.firmware_version,
+            report.firmware_version,
+          )
+        : "";
+    const firmwareUrl = Utils.getFirmwareUrl(device);
+    const summary = report
+      ? `
+                <dl class="row small mb-0">
+                    <dt class="col-sm-4 text-muted fw-normal">Result</dt>
+                    <dd class="col-sm-8">${report.passed} passed, ${report.failures} failed, ${report.errors} errors, ${report.skipped} skipped</dd>
+                    <dt class="col-sm-4 text-muted fw-normal">Duration</dt>
+                    <dd class="col-sm-8">${Utils.formatDuration(report.time)}</dd>
+                    <dt class="col-sm-4 text-muted fw-normal">Run</dt>
+                    <dd class="col-sm-8">${Utils.formatTimestamp(report.timestamp)}</dd>
+                    <dt class="col-sm-4 text-muted fw-normal">Firmware version</dt>
+                    <dd class="col-sm-8">${Utils.formatFirmwareVersion(report.firmware_version, device)}</dd>
+                    ${
+                      firmwareChange
+                        ? `<dt class="col-sm-4 text-muted fw-normal">Since previous run</dt>
+                    <dd class="col-sm-8">${firmwareChange}</dd>`
+                        : ""
+                    }
+                    <dt class="col-sm-4 text-muted fw-normal">Firmware image</dt>
+                    <dd class="col-sm-8">
+                        ${
+                          firmwareUrl
+                            ? `<a href="${Utils.escapeHtml(firmwareUrl)}" target="_blank" rel="noopener noreferrer">${Utils.escapeHtml(device.firmware)}</a>`
+                            : Utils.escapeHtml(device.firmware || "Unknown")
+                        }
+                    </dd>
+                </dl>
+            `
+      : '<p class="text-muted mb-0">No test data available</p>';
+
+    const artifacts = [
+      ["report.xml", "bi-file-earmark-code"],
+      ["console_main", "bi-terminal"],
+    ]
+      .map(([file, icon]) => {
+        const url = manager.getResourceUrl(`${resultsPath}/${file}`);
+        return url
+          ? `<li><a href="${Utils.escapeHtml(url)}" target="_blank"><i class="bi ${icon} me-1"></i>${resultsPath}/${file}</a></li>`
+          : `<li class="text-muted"><i class="bi ${icon} me-1"></i>${resultsPath}/${file}</li>`;
+      })
+      .join("");
+
+    return `
+            <div class="row">
+                <div class="col-lg-6 mb-3">
+                    <div class="card h-100">
+                        <div class="card-header">Latest Run</div>
+                        <div class="card-body">${summary}</div>
+                    </div>
+                </div>
+                <div class="col-lg-6 mb-3">
+                    <div class="card h-100">
+                        <div class="card-header">Device</div>
+                        <div class="card-body">
+                            <dl class="row small mb-0">${metadata}</dl>
+                        </div>
+                    </div>
+                </div>
+                <div class="col-12 mb-3">
+                    <div class="card">
+                        <div class="card-header">Raw Artifacts</div>
+                        <div class="card-body">
+                            <ul class="list-unstyled small mb-0">${artifacts}</ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Get the device-row status class of a device
+   */
+  getStatusClass(device) {
+    const status = Utils.getReportStatus(device.report);
+    if (status === "pass") return "status-pass";
+    if (status === "failed") return "status-failures";
+    return "status-loading";
+  }
+
+  /**
+   * Render the link back to the device list
+   */
+  renderBackLink() {
+    const url = new URL(window.location);
+    const base = url.searchParams.get("base");
+    url.search = base ? `?base=${encodeURIComponent(base)}` : "";
+    url.hash = "";
+    return `
+            <a href="${Utils.escapeHtml(url.toString())}" class="btn btn-sm btn-outline-secondary mb-3">
+                <i class="bi bi-arrow-left"></i> All Devices
+            </a>
+        `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DevicePage;
+}
@@ -1,170 +1,452 @@
 // Device management functions for OpenWrt Test Dashboard
 
 class DeviceManager {
-  constructor(baseUrl, version = "") {
+  // Columns the device list can be sorted by, with their first direction
+  static SORT_COLUMNS = {
+    name: { label: "Name", dir: "asc" },
+    target: { label: "Target", dir: "asc" },
+    proxy: { label: "Lab", dir: "asc" },
+    status: { label: "Status", dir: "asc" },
+    passed: { label: "Passed", dir: "desc" },
+    failed: { label: "Failed", dir: "desc" },
+    skipped: { label: "Skipped", dir: "desc" },
+    duration: { label: "Duration", dir: "desc" },
+    firmware: { label: "Firmware", dir: "desc" },
+    timestamp: { label: "Last run", dir: "desc" },
+  };
+
+  // Device statuses from worst to best, used to sort by status
+  static STATUS_ORDER = [
+    "failed",
+    "error",
+    "flaky",
+    "skipped",
+    "pass",
+    "nodata",
+  ];
+
+  constructor(baseUrl, version = "", dataSource = null) {
     this.baseUrl = baseUrl;
+    this.dataSource = CachedDataSource.wrap(
+      dataSource || new RemoteDataSource(baseUrl),
+    );
     this.version = version;
     this.devicesData = [];
+    // Problems found in devices.json, see Inventory.validateDevices()
+    this.dataIssues = [];
     this.filteredDevices = [];
     this.searchTerm = "";
     this.filterType = "all";
+    this.facets = { target: "", proxy: "", firmware: "" };
+    this.groupBy = "";
+    // "list" or "table"
+    this.layout = "list";
+    // Sort columns in order of priority, e.g. [{ key: "failed", dir: "desc" }]
+    this.sort = [];
+    // Log viewer of the boot log shown last and the report it belongs to
+    this.logViewer = null;
+    this.logViewerReport = null;
+    this.history = new HistoryManager(this);
+    this.testOverview = new TestOverview(this);
+    this.logDiff = new LogDiff(this);
+    this.devicePage = new DevicePage(this);
+    this.flaky = new FlakyTracker(this);
+    this.exporter = new ExportManager(this);
+    this.issues = new IssueReporter(this);
+    this.labgrid = new LabgridHelper(this);
+    this.updates = new UpdateWatcher(this);
+    this.durations = new DurationAnalyzer(this);
+    this.clusters = new FailureClusters(this);
+    this.labs = new LabOverview(this);
+    this.freshness = new FreshnessTracker(this);
+    this.badges = new BadgeGenerator(this);
+    this.queue = new FetchQueue();
+    this.loading = false;
   }
 
   /**
    * Get the full URL for a resource
    */
   getResourceUrl(path) {
+    return this.dataSource.getUrl(this.getResourcePath(path));
+  }
+
+  /**
+   * Get the path of a resource relative to the data source root
+   */
+  getResourcePath(path) {
     const versionPath = this.version ? `${this.version}/` : "";
-    return `${this.baseUrl}/${versionPath}${path}`;
+    return `${versionPath}${path}`;
+  }
+
+  /**
+   * Fetch a resource from the data source
+   */
+  fetchResource(path, options = {}) {
+    return this.dataSource.fetch(this.getResourcePath(path), options);
+  }
+
+  /**
+   * Fetch a resource through the request queue
+   *
+   * Requests run with bounded concurrency, a timeout and retries, and are
+   * cancelled when a new load starts.
+   */
+  fetchQueued(path, options = {}) {
+    return this.queue.fetch((signal) =>
+      this.fetchResource(path, { ...options, signal }),
+    );
+  }
+
+  /**
+   * Switch to another data source and reload
+   */
+  async setDataSource(dataSource) {
+    this.dataSource = CachedDataSource.wrap(dataSource);
+    this.baseUrl = dataSource.label;
+    this.logDiff.versions = null;
+    this.updates.reset();
+    return this.loadDevices();
+  }
+
+  /**
+   * Get the results directory of the latest run of a device
+   */
+  getResultsPath(device) {
+    return Inventory.getResultsPath(device);
+  }
+
+  /**
+   * Get the path of the boot log of the latest run of a device
+   */
+  getBootLogPath(device) {
+    return `${this.getResultsPath(device)}/console_main`;
+  }
+
+  /**
+   * Fetch devices.json without loading any reports
+   */
+  async fetchDeviceList() {
+    const response = await this.fetchQueued("devices.json");
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load devices.json: ${response.status} ${response.statusText}`,
+      );
+    }
+
+    const text = await response.text();
+    this.updates.remember("devices.json", response, text);
+    const { devices, issues } = Inventory.validateDevices(
+      JSON.parse(text),
+      this.version,
+    );
+    this.devicesData = devices;
+    this.dataIssues = issues;
+    return this.devicesData;
+  }
+
+  /**
+   * Fetch devices.json and the latest test report of each device
+   */
+  async fetchDevices() {
+    await this.fetchDeviceList();
+    await this.fetchReports();
+    return this.devicesData;
+  }
+
+  /**
+   * Load the latest test report of each device
+   *
+   * `onProgress` is called with each device as soon as its report is loaded.
+   */
+  async fetchReports(onProgress = null) {
+    this.devicesData.forEach((device) => {
+      device.loading = true;
+    });
+
+    await Promise.all(
+      this.devicesData.map(async (device) => {
+        await this.loadReport(device);
+        if (onProgress) onProgress(device);
+      }),
+    );
+    return this.devicesData;
+  }
+
+  /**
+   * Load the latest test report of a device
+   *
+   * Failures are kept in `device.loadError` with a type of "missing" (no
+   * report, the device never ran), "network" or "parse".
+   */
+  async loadReport(device) {
+    device.loading = true;
+    device.loadError = null;
+
+    try {
+      const path = `${this.getResultsPath(device)}/report.xml`;
+      const response = await this.fetchQueued(path);
+      if (!response.ok) {
+        device.report = null;
+        device.loadError =
+          response.status === 404
+            ? { type: "missing", message: "No report found, never ran" }
+            : {
+                type: "network",
+                message: `HTTP ${response.status} ${response.statusText}`,
+              };
+        return device;
+      }
+
+      const reportText = await response.text();
+      this.updates.remember(path, response, reportText);
+      device.report = this.parseTestReport(reportText);
+      if (!device.report) {
+        device.loadError = {
+          type: "parse",
+          message: "report.xml is not a valid JUnit report",
+        };
+      }
+    } catch (error) {
+      if (FetchQueue.isAbort(error)) throw error;
+      console.error(`Error loading data for ${device.device}:`, error);
+      device.report = null;
+      device.loadError = { type: "network", message: error.message };
+    } finally {
+      device.loading = false;
+    }
+    return device;
   }
 
   /**
    * Load devices data from remote server
    */
   async loadDevices() {
+    // A new load replaces one still in progress
+    this.queue.cancel();
+    const signal = this.queue.signal;
+    this.loading = true;
+
     try {
       Utils.clearMessages("error-container");
       Utils.showLoading("device-container", "Loading devices...");
+      this.updates.reset();
 
-      // Load devices.json
-      const response = await fetch(this.getResourceUrl("devices.json"));
-      if (!response.ok) {
-        throw new Error(
-          `Failed to load devices.json: ${response.status} ${response.statusText}`,
-        );
-      }
+      await this.fetchDeviceList();
+      signal.throwIfAborted();
+      this.renderDataIssues();
 
-      this.devicesData = await response.json();
-
-      // Load test reports for each device
-      const devicePromises = this.devicesData.map(async (device) => {
-        try {
-          const reportResponse = await fetch(
-            this.getResourceUrl(
-              `results-${device.device}-${device.version_name}/report.xml`,
-            ),
-          );
-          if (!reportResponse.ok) {
-            console.warn(`Report not available for ${device.device}`);
-            device.report = null;
-            return device;
-          }
-          const reportText = await reportResponse.text();
-          device.report = this.parseTestReport(reportText);
-        } catch (error) {
-          console.error(`Error loading data for ${device.device}:`, error);
-          device.report = null;
-        }
-        return device;
+      // Show the devices right away and fill in reports as they arrive
+      this.devicesData.forEach((device) => {
+        device.loading = true;
       });
+      this.renderFacetOptions();
+      this.filterDevices();
 
-      await Promise.all(devicePromises);
+      const loaded = new Set();
+      let timer = null;
+      const flush = () => {
+        timer = null;
+        if (signal.aborted) return;
+        this.updateStats();
+        this.updateDevices([...loaded], { highlight: false });
+        loaded.clear();
+      };
+      try {
+        await this.fetchReports((device) => {
+          loaded.add(device.device);
+          if (!timer) timer = setTimeout(flush, CONFIG.RENDER_BATCH_DELAY);
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+      signal.throwIfAborted();
+
+      await this.history.loadAll(this.devicesData);
+      signal.throwIfAborted();
+      await this.flaky.loadQuarantine();
+      signal.throwIfAborted();
+      await this.labs.loadStatus();
+      signal.throwIfAborted();
 
       // Update UI
       this.updateStats();
+      this.renderFacetOptions();
       this.filterDevices();
+      this.devicePage.render();
       this.updateLastRefreshTime();
+      this.reportLoadErrors();
+      this.renderDataIssues();
+
+      // Cached results were shown, check which of them are outdated
+      if (this.dataSource.stale) {
+        this.dataSource.stale = false;
+        this.updates.check().catch((error) => {
+          console.warn("Failed to revalidate cached results:", error);
+        });
+      }
 
       return this.devicesData;
     } catch (error) {
+      // Superseded by a newer load
+      if (FetchQueue.isAbort(error)) return this.devicesData;
+
       console.error("Error loading devices:", error);
-      let errorMessage = `Failed to load device data from ${this.baseUrl}. `;
+      let errorMessage = `Failed to load device data from ${Utils.escapeHtml(this.dataSource.label)}. `;
 
       if (error.message.includes("Failed to fetch")) {
         errorMessage +=
           "This might be a CORS issue or network connectivity problem.";
       } else {
-        errorMessage += `Error: ${error.message}`;
+        errorMessage += `Error: ${Utils.escapeHtml(error.message)}`;
       }
 
       Utils.showError("error-container", errorMessage);
       throw error;
+    } finally {
+      if (this.queue.signal === signal) this.loading = false;
     }
   }
 
   /**
-   * Parse XML test report
+   * Show which reports could not be loaded, with a way to retry
    */
-  parseTestReport(xmlText) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-
-    const testsuite = xmlDoc.querySelector("testsuite");
-    if (!testsuite) {
-      return null;
+  reportLoadErrors() {
+    const failed = this.devicesData.filter(
+      (d) => d.loadError && d.loadError.type !== "missing",
+    );
+    if (failed.length === 0) {
+      Utils.clearMessages("error-container");
+      return;
     }
 
-    const report = {
-      tests: parseInt(testsuite.getAttribute("tests") || "0"),
-      failures: parseInt(testsuite.getAttribute("failures") || "0"),
-      errors: parseInt(testsuite.getAttribute("errors") || "0"),
-      skipped: parseInt(testsuite.getAttribute("skipped") || "0"),
-      time: parseFloat(testsuite.getAttribute("time") || "0"),
-      timestamp: testsuite.getAttribute("timestamp"),
-      testcases: [],
-    };
+    const network = failed.filter((d) => d.loadError.type === "network");
+    const parse = failed.filter((d) => d.loadError.type === "parse");
+    const reasons = [];
+    if (network.length > 0) reasons.push(`${network.length} failed to download`);
+    if (parse.length > 0) reasons.push(`${parse.length} could not be parsed`);
+
+    Utils.showWarning(
+      "error-container",
+      `Could not load the reports of ${failed.length} of ${this.devicesData.length} devices (${reasons.join(", ")}).
+            <button class="btn btn-sm btn-outline-dark ms-2" onclick="deviceManager.retryFailed()">
+                <i class="bi bi-arrow-repeat"></i> Retry
+            </button>`,
+    );
+  }
 
-    // Try to find firmware version in properties
-    const properties = xmlDoc.querySelectorAll("property");
-    properties.forEach((property) => {
-      if (property.getAttribute("name") === "firmware_version") {
-        report.firmware_version = property.getAttribute("value");
-      }
+  /**
+   * Load the report of a single device again
+   */
+  async reloadDevice(deviceId) {
+    const device = this.devicesData.find((d) => d.device === deviceId);
+    if (!device) return;
+    return this.retryDevices([device]);
+  }
+
+  /**
+   * Load all reports that failed to download or parse again
+   */
+  async retryFailed() {
+    return this.retryDevices(
+      this.devicesData.filter(
+        (d) => d.loadError && d.loadError.type !== "missing",
+      ),
+    );
+  }
+
+  /**
+   * Load the reports of some devices again and update their rows
+   */
+  async retryDevices(devices) {
+    const ids = devices.map((d) => d.device);
+    devices.forEach((device) => {
+      device.loading = true;
     });
+    this.updateDevices(ids, { highlight: false });
 
-    // Calculate passed tests
-    report.passed =
-      report.tests - report.failures - report.errors - report.skipped;
-
-    // Parse individual test cases
-    const testcases = xmlDoc.querySelectorAll("testcase");
-    testcases.forEach((testcase) => {
-      const tc = {
-        classname: testcase.getAttribute("classname"),
-        name: testcase.getAttribute("name"),
-        time: parseFloat(testcase.getAttribute("time") || "0"),
-        status: "passed",
-      };
+    try {
+      await Promise.all(
+        devices.map(async (device) => {
+          await this.loadReport(device);
+          if (device.report) await this.history.loadDeviceHistory(device);
+        }),
+      );
+    } catch (error) {
+      if (FetchQueue.isAbort(error)) return;
+      throw error;
+    }
 
-      if (testcase.querySelector("failure")) {
-        tc.status = "failed";
-        tc.message = testcase.querySelector("failure").getAttribute("message");
-        const failureText = testcase.querySelector("failure").textContent;
-        if (failureText) tc.details = failureText.trim();
-      } else if (testcase.querySelector("error")) {
-        tc.status = "error";
-        tc.message = testcase.querySelector("error").getAttribute("message");
-        const errorText = testcase.querySelector("error").textContent;
-        if (errorText) tc.details = errorText.trim();
-      } else if (testcase.querySelector("skipped")) {
-        tc.status = "skipped";
-        tc.message = testcase.querySelector("skipped").getAttribute("message");
-      }
+    this.updateStats();
+    this.updateDevices(ids);
+    this.reportLoadErrors();
+    this.renderDataIssues();
+  }
 
-      report.testcases.push(tc);
-    });
+  /**
+   * Get the problems of devices.json, including devices without a report
+   *
+   * A missing report usually means the device never ran, but just as
+   * often that its ID or version_name does not match the results.
+   */
+  getDataIssues() {
+    const missing = this.devicesData
+      .filter((d) => d.loadError && d.loadError.type === "missing")
+      .map((d) =>
+        Inventory.issue(
+          "warning",
+          "devices.json",
+          d.device,
+          `No report at ${this.getResultsPath(d)}/report.xml, check the device ID and version_name unless the device never ran`,
+        ),
+      );
+    return [...this.dataIssues, ...missing];
+  }
 
-    return report;
+  /**
+   * Show the problems of devices.json above the device list
+   */
+  renderDataIssues() {
+    const container = document.getElementById("data-issues-container");
+    if (!container) return;
+    container.innerHTML = Inventory.renderIssues(this.getDataIssues());
+  }
+
+  /**
+   * Parse XML test report
+   */
+  parseTestReport(xmlText) {
+    return JUnit.parse(xmlText);
   }
 
   /**
    * Update statistics display
    */
   updateStats() {
+    this.labs.updateDeviceStatus();
     const stats = {
       total: this.devicesData.length,
       online: this.devicesData.filter((d) => d.status === "online").length,
       totalTests: 0,
       passed: 0,
       failed: 0,
+      flaky: 0,
       skipped: 0,
+      stale: 0,
     };
+    const majority = this.freshness.getMajorityRevision();
 
     this.devicesData.forEach((device) => {
       if (device.report) {
+        const counts = this.flaky.getCounts(device);
+        const stale = this.freshness.isStale(device, majority);
+        if (stale) stats.stale++;
         stats.totalTests += device.report.tests;
-        stats.passed += device.report.passed;
-        stats.failed += device.report.failures + device.report.errors;
+        if (!stale || !this.freshness.excludeStale) {
+          stats.passed += device.report.passed;
+        }
+        stats.failed += counts.failures + counts.errors;
+        stats.flaky += counts.flaky;
         stats.skipped += device.report.skipped;
       }
     });
@@ -172,33 +454,39 @@ class DeviceManager {
     const statsContainer = document.getElementById("stats-container");
     if (statsContainer) {
       statsContainer.innerHTML = `
-                <div class="col-md-3 col-sm-6 mb-3">
+                <div class="col-lg col-md-4 col-sm-6 mb-3">
                     <div class="card stats-card total">
                         <div class="card-body">
                             <div class="d-flex align-items-center justify-content-between">
                                 <div>
                                     <h2 class="mb-0">${stats.total}</h2>
-                                    <p class="mb-0 small">Total Devices</p>
+                                    <p class="mb-0 small">
+                                        Total Devices
+                                        <span class="opacity-75">(${stats.online} online)</span>
+                                    </p>
                                 </div>
                                 <i class="bi bi-router-fill fs-1 opacity-50"></i>
                             </div>
                         </div>
                     </div>
                 </div>
-                <div class="col-md-3 col-sm-6 mb-3">
+                <div class="col-lg col-md-4 col-sm-6 mb-3">
                     <div class="card stats-card passed">
                         <div class="card-body">
                             <div class="d-flex align-items-center justify-content-between">
                                 <div>
                                     <h2 class="mb-0">${stats.passed}</h2>
-                                    <p class="mb-0 small">Tests Passed</p>
+                                    <p class="mb-0 small">
+                                        Tests Passed
+                                        ${this.freshness.excludeStale && stats.stale > 0 ? '<span class="opacity-75">(stale excluded)</span>' : ""}
+                                    </p>
                                 </div>
                                 <i class="bi bi-check-circle-fill fs-1 opacity-50"></i>
                             </div>
                         </div>
                     </div>
                 </div>
-                <div class="col-md-3 col-sm-6 mb-3">
+                <div class="col-lg col-md-4 col-sm-6 mb-3">
                     <div class="card stats-card skipped">
                         <div class="card-body">
                             <div class="d-flex align-items-center justify-content-between">
@@ -211,51 +499,395 @@ class DeviceManager {
                         </div>
                     </div>
                 </div>
-                <div class="col-md-3 col-sm-6 mb-3">
+                <div class="col-lg col-md-4 col-sm-6 mb-3">
                     <div class="card stats-card failed">
                         <div class="card-body">
                             <div class="d-flex align-items-center justify-content-between">
                                 <div>
                                     <h2 class="mb-0">${stats.failed}</h2>
-                                    <p class="mb-0 small">Tests Failed</p>
+                                    <p class="mb-0 small">
+                                        Tests Failed
+                                        ${stats.flaky > 0 ? `<span class="opacity-75">(+${stats.flaky} flaky)</span>` : ""}
+                                    </p>
                                 </div>
                                 <i class="bi bi-x-circle-fill fs-1 opacity-50"></i>
                             </div>
                         </div>
                     </div>
                 </div>
+                <div class="col-lg col-md-4 col-sm-6 mb-3">
+                    <div class="card stats-card stale" role="button" onclick="deviceManager.freshness.showStale()"
+                         title="Results older than the maximum age or from another firmware revision">
+                        <div class="card-body">
+                            <div class="d-flex align-items-center justify-content-between">
+                                <div>
+                                    <h2 class="mb-0">${stats.stale}</h2>
+                                    <p class="mb-0 small">Stale Results</p>
+                                </div>
+                                <i class="bi bi-clock-history fs-1 opacity-50"></i>
+                            </div>
+                        </div>
+                    </div>
+                </div>
             `;
     }
+
+    this.labs.renderStrip();
   }
 
   /**
-   * Filter devices based on search term and filter type
+   * Get the status of a device for filtering
+   *
+   * Returns one of "pass", "failed" (has failing tests), "error" (errors
+   * but no failures), "flaky" (only known flaky failures), "skipped"
+   * (every test skipped) or "nodata".
    */
-  filterDevices(searchTerm = this.searchTerm, filterType = this.filterType) {
+  getDeviceStatus(device) {
+    const report = device.report;
+    if (!report) return "nodata";
+    const counts = this.flaky.getCounts(device);
+    if (counts.failures > 0) return "failed";
+    if (counts.errors > 0) return "error";
+    if (counts.flaky > 0) return "flaky";
+    if (report.skipped > 0 && report.skipped === report.tests) return "skipped";
+    return "pass";
+  }
+
+  /**
+   * Check whether a device matches a status filter
+   *
+   * `majority` is the firmware revision of the fleet used by the "stale"
+   * filter, see FreshnessTracker.getMajorityRevision().
+   */
+  matchesStatus(device, filterType, majority) {
+    const status = this.getDeviceStatus(device);
+    if (filterType === "all") return true;
+    if (filterType === "stale") {
+      return this.freshness.isStale(device, majority);
+    }
+    // "failed" keeps its original meaning of failures or errors
+    if (filterType === "failed") return status === "failed" || status === "error";
+    return status === filterType;
+  }
+
+  /**
+   * Filter devices based on search term, filter type and facets
+   */
+  filterDevices(
+    searchTerm = this.searchTerm,
+    filterType = this.filterType,
+    facets = this.facets,
+  ) {
     this.searchTerm = searchTerm;
     this.filterType = filterType;
+    this.facets = { ...this.facets, ...facets };
 
-    this.filteredDevices = this.devicesData.filter((device) => {
-      // Search filter
-      const matchesSearch =
-        device.device.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (device.name &&
-          device.name.toLowerCase().includes(searchTerm.toLowerCase()));
-
-      // Status filter
-      const matchesFilter =
-        filterType === "all" ||
-        (filterType === "failed" &&
-          device.report &&
-          (device.report.failures > 0 || device.report.errors > 0));
-
-      return matchesSearch && matchesFilter;
-    });
+    this.filteredDevices = this.sortDevices(this.getMatchingDevices());
 
     this.renderDevices();
     this.updateFilterCount();
   }
 
+  /**
+   * Get the devices matching the current search, status and facets
+   */
+  getMatchingDevices() {
+    const majority = this.freshness.getMajorityRevision();
+    return this.devicesData.filter((device) =>
+      this.matchesFilters(device, majority),
+    );
+  }
+
+  /**
+   * Check whether a device matches the current search, status and facets
+   */
+  matchesFilters(device, majority) {
+    const searchTerm = this.searchTerm.toLowerCase();
+
+    // Search filter
+    const matchesSearch =
+      device.device.toLowerCase().includes(searchTerm) ||
+      (device.name && device.name.toLowerCase().includes(searchTerm));
+
+    // Status filter
+    const matchesFilter = this.matchesStatus(
+      device,
+      this.filterType,
+      majority,
+    );
+
+    // Facet filters
+    const matchesFacets = Object.keys(this.facets).every(
+      (key) => !this.facets[key] || device[key] === this.facets[key],
+    );
+
+    return matchesSearch && matchesFilter && matchesFacets;
+  }
+
+  /**
+   * Update changed devices without re-rendering the whole list
+   *
+   * Rows are replaced in place as long as the filtered list keeps its
+   * order; otherwise, and always in the table layout, the list is rendered
+   * again, keeping collapsed groups.
+   */
+  updateDevices(
+    deviceIds,
+    { listChanged = false, highlight = true, newRuns = deviceIds } = {},
+  ) {
+    const container = document.getElementById("device-container");
+    const previous = this.filteredDevices.map((d) => d.device).join("\n");
+    this.filteredDevices = this.sortDevices(this.getMatchingDevices());
+    const current = this.filteredDevices.map((d) => d.device).join("\n");
+
+    if (container && (listChanged || this.groupBy || previous !== current)) {
+      const collapsed = Array.from(
+        container.querySelectorAll("details.device-group:not([open])"),
+      ).map((group) => group.dataset.group);
+      this.renderDevices();
+      container.querySelectorAll("details.device-group").forEach((group) => {
+        if (collapsed.includes(group.dataset.group)) group.open = false;
+      });
+    } else if (container) {
+      const table = this.layout === "table";
+      const majority = this.freshness.getMajorityRevision();
+      const targetTimes = this.durations.getTargetTimes();
+      deviceIds.forEach((deviceId) => {
+        const device = this.devicesData.find((d) => d.device === deviceId);
+        const row = container.querySelector(
+          `${table ? ".device-table-row" : ".device-row"}[data-device="${CSS.escape(deviceId)}"]`,
+        );
+        if (!device || !row) return;
+        row.outerHTML = table
+          ? this.createDeviceTableRow(device, majority)
+          : this.createDeviceRow(device, majority, targetTimes);
+      });
+    }
+
+    // Highlight what changed for a moment
+    (highlight ? deviceIds : []).forEach((deviceId) => {
+      const row =
+        container &&
+        container.querySelector(`[data-device="${CSS.escape(deviceId)}"]`);
+      if (row) row.classList.add("device-row-updated");
+    });
+
+    this.updateFilterCount();
+    if (deviceIds.includes(this.devicePage.deviceId)) {
+      this.devicePage.refresh(newRuns.includes(this.devicePage.deviceId));
+    }
+  }
+
+  /**
+   * Set the field devices are grouped by ("target", "proxy" or none)
+   */
+  setGroupBy(groupBy) {
+    this.groupBy = groupBy || "";
+    this.renderDevices();
+  }
+
+  /**
+   * Get the value of a device in a sort column, or null if it has none
+   */
+  getSortValue(device, key) {
+    const report = device.report;
+    switch (key) {
+      case "name":
+        return this.getDisplayName(device).toLowerCase();
+      case "target":
+      case "proxy":
+        return device[key] ? device[key].toLowerCase() : null;
+      case "status":
+        return DeviceManager.STATUS_ORDER.indexOf(this.getDeviceStatus(device));
+      case "failed": {
+        if (!report) return null;
+        const counts = this.flaky.getCounts(device);
+        return counts.failures + counts.errors;
+      }
+      case "passed":
+      case "skipped":
+        return report ? report[key] : null;
+      case "duration":
+        return report ? report.time : null;
+      case "firmware":
+        return (report && report.firmware_version) || null;
+      case "timestamp": {
+        const time = report && Date.parse(report.timestamp);
+        return time || time === 0 ? time : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Sort devices by the current sort columns
+   *
+   * Devices without a value in a column always come last, devices that
+   * compare equal keep the order of devices.json.
+   */
+  sortDevices(devices) {
+    if (this.sort.length === 0) return devices;
+
+    const compare = (a, b) => {
+      for (const { key, dir } of this.sort) {
+        const valueA = this.getSortValue(a, key);
+        const valueB = this.getSortValue(b, key);
+        if (valueA === valueB) continue;
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+
+        const result =
+          typeof valueA === "number" && typeof valueB === "number"
+            ? valueA - valueB
+            : String(valueA).localeCompare(String(valueB), undefined, {
+                numeric: true,
+              });
+        if (result !== 0) return dir === "desc" ? -result : result;
+      }
+      return 0;
+    };
+    return [...devices].sort(compare);
+  }
+
+  /**
+   * Parse the sort state of the URL, e.g. "failed:desc,name:asc"
+   */
+  parseSort(value) {
+    return (value || "")
+      .split(",")
+      .map((part) => part.split(":"))
+      .filter(([key]) => DeviceManager.SORT_COLUMNS[key])
+      .filter(
+        ([key], index, parts) =>
+          parts.findIndex(([other]) => other === key) === index,
+      )
+      .map(([key, dir]) => ({
+        key,
+        dir:
+          dir === "asc" || dir === "desc"
+            ? dir
+            : DeviceManager.SORT_COLUMNS[key].dir,
+      }));
+  }
+
+  /**
+   * Format the sort state for the URL
+   */
+  formatSort() {
+    return this.sort.map(({ key, dir }) => `${key}:${dir}`).join(",");
+  }
+
+  /**
+   * Sort by a column, or by no column if `key` is empty
+   *
+   * Sorting by the current primary column reverses it. With `additive`,
+   * e.g. on Shift+click, the column is added as a further sort column or
+   * reversed if it already is one.
+   */
+  setSort(key, additive = false) {
+    const column = DeviceManager.SORT_COLUMNS[key];
+    const index = this.sort.findIndex((s) => s.key === key);
+    const reverse = (s) => ({ key, dir: s.dir === "asc" ? "desc" : "asc" });
+
+    if (!column) {
+      this.sort = [];
+    } else if (additive && index >= 0) {
+      this.sort[index] = reverse(this.sort[index]);
+    } else if (additive) {
+      this.sort.push({ key, dir: column.dir });
+    } else if (index === 0) {
+      this.sort[0] = reverse(this.sort[0]);
+    } else {
+      this.sort = [{ key, dir: column.dir }];
+    }
+
+    this.applySort();
+  }
+
+  /**
+   * Reverse the direction of the primary sort column
+   */
+  toggleSortDirection() {
+    if (this.sort.length > 0) this.setSort(this.sort[0].key);
+  }
+
+  /**
+   * Re-sort the filtered devices and store the sort state in the URL
+   */
+  applySort() {
+    this.filteredDevices = this.sortDevices(this.getMatchingDevices());
+    this.renderDevices();
+    this.renderSortControls();
+    Utils.updateUrl({ sort: this.formatSort() || null });
+  }
+
+  /**
+   * Show devices as a list of cards ("list") or a compact table ("table")
+   */
+  setLayout(layout) {
+    this.layout = layout === "table" ? "table" : "list";
+    this.renderDevices();
+    this.renderSortControls();
+    Utils.updateUrl({ layout: this.layout === "table" ? "table" : null });
+  }
+
+  /**
+   * Reflect the sort state and layout in the controls of the page
+   */
+  renderSortControls() {
+    const select = document.getElementById("sortBy");
+    if (select) {
+      const primary = this.sort.length > 0 ? this.sort[0].key : "";
+      select.innerHTML =
+        '<option value="">Default order</option>' +
+        Object.entries(DeviceManager.SORT_COLUMNS)
+          .map(
+            ([key, column]) =>
+              `<option value="${key}" ${key === primary ? "selected" : ""}>Sort by ${column.label.toLowerCase()}</option>`,
+          )
+          .join("");
+    }
+
+    const direction = document.getElementById("sortDirection");
+    if (direction) {
+      const dir = this.sort.length > 0 ? this.sort[0].dir : "asc";
+      direction.disabled = this.sort.length === 0;
+      direction.title = dir === "asc" ? "Ascending" : "Descending";
+      direction.querySelector("i").className =
+        dir === "asc" ? "bi bi-sort-up" : "bi bi-sort-down";
+    }
+
+    const layout = document.getElementById(
+      this.layout === "table" ? "layoutTable" : "layoutList",
+    );
+    if (layout) layout.checked = true;
+  }
+
+  /**
+   * Fill the facet selects with the values present in the device list
+   */
+  renderFacetOptions() {
+    Object.keys(this.facets).forEach((key) => {
+      const select = document.getElementById(`${key}Filter`);
+      if (!select) return;
+
+      const values = [
+        ...new Set(this.devicesData.map((d) => d[key]).filter(Boolean)),
+      ].sort();
+      const label = select.dataset.label || key;
+
+      select.innerHTML =
+        `<option value="">All ${Utils.escapeHtml(label)}</option>` +
+        values
+          .map(
+            (value) =>
+              `<option value="${Utils.escapeHtml(value)}" ${value === this.facets[key] ? "selected" : ""}>${Utils.escapeHtml(value)}</option>`,
+          )
+          .join("");
+    });
+  }
+
   /**
    * Update filter count display
    */
@@ -285,29 +917,234 @@ class DeviceManager {
       return;
     }
 
-    const devicesHtml = this.filteredDevices
-      .map((device) => this.createDeviceRow(device))
+    // Stale results are flagged against the firmware of the whole fleet,
+    // slower tests against the durations of the other devices of a target
+    const majority = this.freshness.getMajorityRevision();
+    const targetTimes = this.durations.getTargetTimes();
+    if (this.groupBy) {
+      container.innerHTML = this.renderDeviceGroups(majority, targetTimes);
+      return;
+    }
+
+    container.innerHTML = this.renderDeviceItems(
+      this.filteredDevices,
+      majority,
+      targetTimes,
+    );
+  }
+
+  /**
+   * Render devices in the current layout
+   */
+  renderDeviceItems(devices, majority, targetTimes) {
+    if (this.layout === "table") {
+      return this.renderDeviceTable(devices, majority);
+    }
+    return devices
+      .map((device) => this.createDeviceRow(device, majority, targetTimes))
       .join("");
-    container.innerHTML = devicesHtml;
+  }
+
+  /**
+   * Render devices as a compact table with sortable column headers
+   */
+  renderDeviceTable(devices, majority) {
+    const headers = Object.entries(DeviceManager.SORT_COLUMNS)
+      .map(([key, column]) => {
+        const index = this.sort.findIndex((s) => s.key === key);
+        const numeric = ["passed", "failed", "skipped", "duration"];
+        let indicator = "";
+        if (index >= 0) {
+          const icon =
+            this.sort[index].dir === "asc"
+              ? "bi-caret-up-fill"
+              : "bi-caret-down-fill";
+          indicator = `<i class="bi ${icon}"></i>${this.sort.length > 1 ? `<sup>${index + 1}</sup>` : ""}`;
+        }
+        return `<th class="sortable ${index >= 0 ? "sorted" : ""} ${numeric.includes(key) ? "text-end" : ""}"
+                    onclick="deviceManager.setSort('${key}', event.shiftKey)"
+                    title="Sort by ${column.label.toLowerCase()}, Shift+click to add to the sort">${column.label} ${indicator}</th>`;
+      })
+      .join("");
+
+    return `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover align-middle device-table mb-0">
+                    <thead><tr>${headers}<th></th></tr></thead>
+                    <tbody>
+                        ${devices.map((device) => this.createDeviceTableRow(device, majority)).join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+  }
+
+  /**
+   * Create HTML for a device in the table layout
+   */
+  createDeviceTableRow(device, majority) {
+    const report = device.report;
+    const status = this.getDeviceStatus(device);
+    const badges = {
+      pass: '<span class="status-badge pass">Passed</span>',
+      failed: '<span class="status-badge failures">Failed</span>',
+      error: '<span class="status-badge failures">Errors</span>',
+      flaky: '<span class="status-badge flaky">Flaky</span>',
+      skipped: '<span class="status-badge loading">Skipped</span>',
+      nodata: '<span class="status-badge loading">No Data</span>',
+    };
+    let statusBadge = badges[status];
+    if (device.loading) {
+      statusBadge =
+        '<span class="status-badge loading"><span class="spinner-border spinner-border-sm"></span></span>';
+    } else if (device.loadError && device.loadError.type !== "missing") {
+      statusBadge = `<span class="status-badge load-error" title="${Utils.escapeHtml(device.loadError.message)}">Load Failed</span>`;
+    }
+
+    const counts = report ? this.flaky.getCounts(device) : null;
+    const cell = (value) =>
+      value === null || value === undefined
+        ? '<span class="text-muted">-</span>'
+        : value;
+
+    return `
+            <tr class="device-table-row status-${status}" data-device="${Utils.escapeHtml(device.device)}">
+                <td>
+                    <a href="${Utils.escapeHtml(this.getDeviceUrl(device.device))}" class="device-link fw-semibold">${Utils.escapeHtml(this.getDisplayName(device))}</a>
+                    <small class="text-muted d-block">${Utils.escapeHtml(device.device)}</small>
+                </td>
+                <td>${Utils.escapeHtml(device.target || "Unknown")}</td>
+                <td>${Utils.escapeHtml(device.proxy || "Unknown")}</td>
+                <td>${statusBadge}</td>
+                <td class="text-end">${cell(report && report.passed)}</td>
+                <td class="text-end">${cell(counts && counts.failures + counts.errors)}</td>
+                <td class="text-end">${cell(report && report.skipped)}</td>
+                <td class="text-end text-nowrap">${report ? Utils.formatDuration(report.time) : cell(null)}</td>
+                <td class="small">${report ? Utils.formatFirmwareVersion(report.firmware_version, device) : cell(null)}</td>
+                <td class="small text-nowrap">${report && report.timestamp ? this.freshness.renderAge(device, majority) : cell(null)}</td>
+                <td class="text-end">
+                    <div class="btn-group btn-group-sm">
+                        ${
+                          report
+                            ? `<button class="btn btn-outline-primary" onclick="deviceManager.showTestDetails('${device.device}')" title="Tests">
+                            <i class="bi bi-list-ul"></i>
+                        </button>`
+                            : ""
+                        }
+                        <button class="btn btn-outline-secondary" onclick="deviceManager.showBootLog('${device.device}')" title="Boot log">
+                            <i class="bi bi-terminal"></i>
+                        </button>
+                        <button class="btn btn-outline-success" onclick="deviceManager.labgrid.show('${device.device}')" title="Labgrid environment">
+                            <i class="bi bi-sliders"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+  }
+
+  /**
+   * Render filtered devices as collapsible sections per group
+   */
+  renderDeviceGroups(majority, targetTimes) {
+    const groups = {};
+    this.filteredDevices.forEach((device) => {
+      const key = device[this.groupBy] || "Unknown";
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(device);
+    });
+
+    return Object.keys(groups)
+      .sort()
+      .map((key) => {
+        const devices = groups[key];
+        const counts = {
+          pass: 0,
+          failed: 0,
+          error: 0,
+          flaky: 0,
+          skipped: 0,
+          nodata: 0,
+        };
+        let passedTests = 0;
+        let totalTests = 0;
+        devices.forEach((device) => {
+          counts[this.getDeviceStatus(device)]++;
+          if (device.report) {
+            if (this.freshness.countsAsPassed(device, majority)) {
+              passedTests += device.report.passed;
+            }
+            totalTests += device.report.tests;
+          }
+        });
+        const failing = counts.failed + counts.error;
+
+        return `
+                <details class="device-group" data-group="${Utils.escapeHtml(key)}" open>
+                    <summary class="device-group-header">
+                        <span class="fw-semibold me-2">${Utils.escapeHtml(key)}</span>
+                        <span class="filter-badge ms-0 me-2">${devices.length} device${devices.length === 1 ? "" : "s"}</span>
+                        ${counts.pass > 0 ? `<span class="test-indicator passed" title="Passing devices">${counts.pass}</span>` : ""}
+                        ${failing > 0 ? `<span class="test-indicator failed" title="Failing devices">${failing}</span>` : ""}
+                        ${counts.flaky > 0 ? `<span class="test-indicator flaky" title="Devices with only flaky failures">${counts.flaky}</span>` : ""}
+                        ${counts.skipped > 0 ? `<span class="test-indicator skipped" title="Skipped-only devices">${counts.skipped}</span>` : ""}
+                        ${counts.nodata > 0 ? `<span class="test-indicator nodata" title="Devices without data">${counts.nodata}</span>` : ""}
+                        <small class="text-muted ms-2">${passedTests}/${totalTests} tests passed</small>
+                    </summary>
+                    ${this.renderDeviceItems(devices, majority, targetTimes)}
+                </details>
+            `;
+      })
+      .join("");
+  }
+
+  /**
+   * Get the human readable name of a device
+   */
+  getDisplayName(device) {
+    return device.name || device.device;
   }
 
   /**
    * Create HTML for a device row
    */
-  createDeviceRow(device) {
+  createDeviceRow(device, majority, targetTimes) {
     const report = device.report;
     let statusClass = "status-loading";
     let statusBadge = '<span class="status-badge loading">No Data</span>';
     let testIndicators = "";
     let deviceStats = '<span class="text-muted">No test data available</span>';
 
+    if (device.loading) {
+      statusBadge =
+        '<span class="status-badge loading"><span class="spinner-border spinner-border-sm me-1"></span>Loading</span>';
+      deviceStats = '<span class="text-muted">Loading test report...</span>';
+    } else if (device.loadError && device.loadError.type === "missing") {
+      statusBadge = '<span class="status-badge loading">Never Ran</span>';
+      deviceStats =
+        '<span class="text-muted">No report found, this device has not run yet</span>';
+    } else if (device.loadError) {
+      statusClass = "status-load-error";
+      statusBadge = `<span class="status-badge load-error">${device.loadError.type === "parse" ? "Invalid Report" : "Load Failed"}</span>`;
+      deviceStats = `
+                <span class="text-warning-emphasis">${Utils.escapeHtml(device.loadError.message)}</span>
+                <button class="btn btn-link btn-sm p-0 ms-1 align-baseline" onclick="deviceManager.reloadDevice('${device.device}')">
+                    <i class="bi bi-arrow-repeat"></i> Retry
+                </button>
+            `;
+    }
+
     if (report) {
-      if (report.failures === 0 && report.errors === 0) {
-        statusClass = "status-pass";
-        statusBadge = '<span class="status-badge pass">All Tests Passed</span>';
-      } else {
+      const counts = this.flaky.getCounts(device);
+      if (counts.failures > 0 || counts.errors > 0) {
         statusClass = "status-failures";
         statusBadge = '<span class="status-badge failures">Tests Failed</span>';
+      } else if (counts.flaky > 0) {
+        statusClass = "status-flaky";
+        statusBadge = '<span class="status-badge flaky">Flaky Failures</span>';
+      } else {
+        statusClass = "status-pass";
+        statusBadge = '<span class="status-badge pass">All Tests Passed</span>';
       }
 
       // Create test indicators
@@ -320,13 +1157,17 @@ class DeviceManager {
         indicators.push(
           `<span class="test-indicator skipped" title="Skipped">${report.skipped}</span>`,
         );
-      if (report.failures > 0)
+      if (counts.failures > 0)
+        indicators.push(
+          `<span class="test-indicator failed" title="Failed">${counts.failures}</span>`,
+        );
+      if (counts.errors > 0)
         indicators.push(
-          `<span class="test-indicator failed" title="Failed">${report.failures}</span>`,
+          `<span class="test-indicator error" title="Errors">${counts.errors}</span>`,
         );
-      if (report.errors > 0)
+      if (counts.flaky > 0)
         indicators.push(
-          `<span class="test-indicator error" title="Errors">${report.errors}</span>`,
+          `<span class="test-indicator flaky" title="Known flaky failures">${counts.flaky}</span>`,
         );
       testIndicators = indicators.join(" ");
 
@@ -334,33 +1175,37 @@ class DeviceManager {
                 <div class="device-stats">
                     <small class="text-muted d-block">
                         Tests: ${report.tests} | Duration: ${Utils.formatDuration(report.time)}
+                        ${this.durations.renderDeviceBadge(device, targetTimes)} |
+                        ${this.freshness.renderAge(device, majority)}
                     </small>
                     <small class="text-muted">
-                        Firmware: ${Utils.formatFirmwareVersion(report.firmware_version, device.device)}
+                        Firmware: ${Utils.formatFirmwareVersion(report.firmware_version, device)}
                     </small>
                 </div>
             `;
     }
 
-    const deviceName = device.name || device.device;
-    const displayName = deviceName.replace("name:", "").trim();
+    const displayName = this.getDisplayName(device);
 
     return `
-            <div class="device-row ${statusClass}">
+            <div class="device-row ${statusClass}" data-device="${Utils.escapeHtml(device.device)}">
                 <div class="d-flex justify-content-between align-items-start">
                     <div class="flex-grow-1">
                         <div class="d-flex align-items-center mb-2">
-                            <h5 class="mb-0 me-3">${Utils.escapeHtml(displayName)}</h5>
+                            <h5 class="mb-0 me-3">
+                                <a href="${Utils.escapeHtml(this.getDeviceUrl(device.device))}" class="device-link">${Utils.escapeHtml(displayName)}</a>
+                            </h5>
                             ${statusBadge}
                         </div>
                         <div class="device-info mb-2">
                             <small class="text-muted">
                                 Device ID: ${Utils.escapeHtml(device.device)} |
                                 Target: ${Utils.escapeHtml(device.target || "Unknown")} |
-                                Proxy: ${Utils.escapeHtml(device.proxy || "Unknown")}
+                                Proxy: ${this.labs.renderDeviceDot(device)} ${Utils.escapeHtml(device.proxy || "Unknown")}
                             </small>
                         </div>
                         ${deviceStats}
+                        ${this.history.renderSparkline(device.device)}
                     </div>
                     <div class="d-flex flex-column align-items-end">
                         <div class="mb-2">
@@ -374,12 +1219,22 @@ class DeviceManager {
                             </button>`
                                 : ""
                             }
+                            ${
+                              this.history.getRuns(device.device).length > 1
+                                ? `<button class="btn btn-outline-primary" onclick="deviceManager.showHistory('${device.device}')">
+                                <i class="bi bi-clock-history"></i> History
+                            </button>`
+                                : ""
+                            }
                             <button class="btn btn-outline-secondary" onclick="deviceManager.showBootLog('${device.device}')">
                                 <i class="bi bi-terminal"></i> Boot Log
                             </button>
                             <button class="btn btn-outline-success" onclick="deviceManager.downloadEnv('${device.device}')">
                                 <i class="bi bi-download"></i> Env
                             </button>
+                            <button class="btn btn-outline-success" onclick="deviceManager.labgrid.show('${device.device}')" title="Labgrid environment formats">
+                                <i class="bi bi-sliders"></i>
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -387,6 +1242,36 @@ class DeviceManager {
         `;
   }
 
+  /**
+   * Render a warning for suites whose declared counts differ from their
+   * testcases, or "" if all agree
+   */
+  renderCountMismatch(report) {
+    const suites = (report.suites || []).filter((suite) => suite.mismatch);
+    if (suites.length === 0) return "";
+
+    const describe = (counts) =>
+      `${counts.tests} tests, ${counts.failures} failures, ${counts.errors} errors, ${counts.skipped} skipped`;
+    const items = suites
+      .map(
+        (suite) => `
+                <li>
+                    <strong>${Utils.escapeHtml(suite.name || "Unnamed suite")}</strong>
+                    declares ${describe(suite.mismatch)}, its testcases count ${describe(suite)}
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            <div class="alert alert-warning small">
+                <i class="bi bi-exclamation-triangle me-1"></i>
+                The counts of the report do not match its testcases; the counts above are taken from the testcases.
+                <ul class="mb-0 mt-1">${items}</ul>
+            </div>
+        `;
+  }
+
   /**
    * Show test details modal
    */
@@ -400,12 +1285,26 @@ class DeviceManager {
       return;
     }
 
-    const modal = new bootstrap.Modal(document.getElementById("deviceModal"));
-    document.getElementById("modalTitle").textContent =
-      `Test Results - ${device.name || device.device}`;
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").innerHTML = `
+            Test Results - ${Utils.escapeHtml(device.name || device.device)}
+            ${this.renderPermalink(deviceId, "tests")}
+        `;
+    document.getElementById("modal-content").innerHTML =
+      this.renderTestDetails(device);
+    modal.show();
+  }
 
+  /**
+   * Render the test summary and per-class results of a device
+   */
+  renderTestDetails(device) {
     const report = device.report;
     const testcases = report.testcases || [];
+    this.clusters.build();
+    const slower = this.durations.getRegressions(device);
 
     // Group tests by class
     const groupedTests = {};
@@ -457,6 +1356,9 @@ class DeviceManager {
             </div>
         `;
 
+    modalContent += this.renderCountMismatch(report);
+    modalContent += this.renderReportProperties(report);
+
     if (Object.keys(groupedTests).length > 0) {
       modalContent += "<h6>Test Details</h6>";
       modalContent += '<div class="accordion" id="testAccordion">';
@@ -464,7 +1366,12 @@ class DeviceManager {
       Object.keys(groupedTests).forEach((className, index) => {
         const tests = groupedTests[className];
         const failedTests = tests.filter(
-          (t) => t.status === "failed" || t.status === "error",
+          (t) =>
+            (t.status === "failed" || t.status === "error") &&
+            !this.flaky.getFlakyReason(device, t),
+        );
+        const flakyTests = tests.filter((t) =>
+          this.flaky.getFlakyReason(device, t),
         );
         const passedTests = tests.filter((t) => t.status === "passed");
         const skippedTests = tests.filter((t) => t.status === "skipped");
@@ -479,6 +1386,7 @@ class DeviceManager {
                                 <span class="badge bg-success ms-2">${passedTests.length}</span>
                                 <span class="badge bg-warning ms-1">${skippedTests.length}</span>
                                 <span class="badge bg-danger ms-1">${failedTests.length}</span>
+                                ${flakyTests.length > 0 ? `<span class="badge flaky-badge ms-1">${flakyTests.length} flaky</span>` : ""}
                             </button>
                         </h2>
                         <div id="collapse${index}" class="accordion-collapse collapse ${failedTests.length > 0 ? "show" : ""}"
@@ -498,6 +1406,15 @@ class DeviceManager {
                 `;
 
         tests.forEach((test) => {
+          const firstFailure =
+            test.status === "failed" || test.status === "error"
+              ? this.history.getTestFirstFailure(
+                  device.device,
+                  test.classname,
+                  test.name,
+                )
+              : null;
+          const flakyReason = this.flaky.getFlakyReason(device, test);
           const statusClass =
             test.status === "passed"
               ? "success"
@@ -505,13 +1422,30 @@ class DeviceManager {
                 ? "warning"
                 : "danger";
           modalContent += `
-                        <tr>
+                        <tr class="${flakyReason ? "test-flaky" : ""}">
                             <td>${Utils.escapeHtml(test.name)}</td>
-                            <td><span class="badge bg-${statusClass}">${test.status}</span></td>
-                            <td>${Utils.formatDuration(test.time)}</td>
+                            <td>
+                                <span class="badge bg-${statusClass}">${test.status}</span>
+                                ${flakyReason ? this.flaky.renderBadge(flakyReason) : ""}
+                                ${firstFailure ? `<br><small class="text-muted">since ${Utils.formatTimestamp(this.history.getRunTimestamp(firstFailure))}</small>` : ""}
+                                ${
+                                  statusClass === "danger"
+                                    ? `<br><button class="btn btn-link btn-sm p-0 small" onclick="deviceManager.issues.show('${device.device}', ${testcases.indexOf(test)})">
+                                        <i class="bi bi-bug"></i> Report issue
+                                    </button>`
+                                    : ""
+                                }
+                                ${this.clusters.renderTestBadge(device, test)}
+                            </td>
+                            <td>
+                                ${Utils.formatDuration(test.time)}
+                                ${this.durations.renderTestBadge(device, test, slower)}
+                            </td>
                             <td class="test-message">
                                 ${this.formatTestMessage(test.message || "")}
                                 ${test.details ? `<br><small class="text-muted">${Utils.escapeHtml(test.details)}</small>` : ""}
+                                ${this.renderTestProperties(test)}
+                                ${this.renderTestOutput(test)}
                             </td>
                         </tr>
                     `;
@@ -530,7 +1464,105 @@ class DeviceManager {
       modalContent += "</div>";
     }
 
-    document.getElementById("modal-content").innerHTML = modalContent;
+    return modalContent;
+  }
+
+  /**
+   * Render suite properties and captured suite output
+   */
+  renderReportProperties(report) {
+    const properties = Object.entries(report.properties || {});
+    const outputs = (report.suites || []).filter(
+      (suite) => suite.system_out || suite.system_err,
+    );
+    if (properties.length === 0 && outputs.length === 0) return "";
+
+    const rows = properties
+      .map(
+        ([name, value]) => `
+                <tr>
+                    <th class="fw-normal text-muted">${Utils.escapeHtml(name)}</th>
+                    <td>${Utils.escapeHtml(value)}</td>
+                </tr>
+            `,
+      )
+      .join("");
+
+    const suiteOutput = outputs
+      .map((suite) =>
+        this.renderTestOutput(suite, `Suite ${suite.name || ""} output`),
+      )
+      .join("");
+
+    return `
+            <div class="mb-4">
+                <h6>Properties</h6>
+                ${
+                  rows
+                    ? `<table class="table table-sm test-results-table w-auto mb-2"><tbody>${rows}</tbody></table>`
+                    : ""
+                }
+                ${suiteOutput}
+            </div>
+        `;
+  }
+
+  /**
+   * Render the properties of a testcase as a compact line
+   */
+  renderTestProperties(test) {
+    const properties = Object.entries(test.properties || {});
+    if (properties.length === 0) return "";
+    const text = properties
+      .map(
+        ([name, value]) =>
+          `${Utils.escapeHtml(name)}=${Utils.escapeHtml(value)}`,
+      )
+      .join(" | ");
+    return `<br><small class="text-muted">${text}</small>`;
+  }
+
+  /**
+   * Render captured stdout/stderr of a testcase or suite
+   */
+  renderTestOutput(item, label = "") {
+    const sections = [];
+
+    [
+      ["system_out", "stdout"],
+      ["system_err", "stderr"],
+    ].forEach(([key, name]) => {
+      if (!item[key]) return;
+      sections.push(`
+                <details class="test-output">
+                    <summary class="small">${Utils.escapeHtml(label ? `${label} (${name})` : name)}</summary>
+                    <div class="log-viewer"><pre class="mb-0"><code>${Utils.parseAnsiCodes(Utils.escapeHtml(item[key]))}</code></pre></div>
+                </details>
+            `);
+    });
+
+    return sections.join("");
+  }
+
+  /**
+   * Show run history modal
+   */
+  showHistory(deviceId) {
+    const device = this.devicesData.find((d) => d.device === deviceId);
+    if (!device) return;
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `Run History - ${device.name || device.device}`;
+
+    document.getElementById("modal-content").innerHTML = `
+            <div class="mb-3">
+                ${this.history.renderSparkline(deviceId)}
+            </div>
+            ${this.history.renderHistoryTable(deviceId)}
+        `;
     modal.show();
   }
 
@@ -541,66 +1573,104 @@ class DeviceManager {
     const device = this.devicesData.find((d) => d.device === deviceId);
     if (!device) return;
 
-    const modal = new bootstrap.Modal(document.getElementById("deviceModal"));
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
     document.getElementById("modalTitle").innerHTML = `
-            Boot Log - ${device.name || device.device}
+            Boot Log - ${Utils.escapeHtml(device.name || device.device)}
             <button class="btn btn-sm btn-outline-light ms-2" onclick="deviceManager.copyBootLog('${deviceId}')">
                 <i class="bi bi-clipboard"></i> Copy
             </button>
+            <button class="btn btn-sm btn-outline-light ms-1" onclick="deviceManager.logDiff.show('${deviceId}')">
+                <i class="bi bi-layout-split"></i> Compare
+            </button>
+            ${this.renderPermalink(deviceId, "log")}
         `;
 
-    document.getElementById("modal-content").innerHTML = `
+    modal.show();
+    await this.renderBootLog(device, document.getElementById("modal-content"));
+  }
+
+  /**
+   * Load the boot log of a device into a log viewer in a container
+   *
+   * Nothing is rendered if the container shows something else by the time
+   * the log has loaded.
+   */
+  async renderBootLog(device, container) {
+    this.logViewer = null;
+    container.innerHTML = `
             <div class="text-center py-3">
                 <div class="loading-spinner"></div>
                 <p class="mt-2">Loading boot log...</p>
             </div>
         `;
-
-    modal.show();
+    const loading = container.firstElementChild;
 
     try {
-      const response = await fetch(
-        this.getResourceUrl(
-          `results-${device.device}-${device.version_name}/console_main`,
-        ),
-      );
+      const response = await this.fetchResource(this.getBootLogPath(device));
       if (!response.ok) {
         throw new Error(`Boot log not available: ${response.status}`);
       }
 
       const logText = await response.text();
-      const processedLog = Utils.parseAnsiCodes(Utils.escapeHtml(logText));
-
-      document.getElementById("modal-content").innerHTML = `
-                <div class="log-viewer" id="bootLog">
-                    <pre class="mb-0"><code>${processedLog}</code></pre>
-                </div>
-            `;
+      if (!loading.isConnected) return;
+      this.logViewer = new LogViewer(container, logText);
+      this.logViewerReport = device.report;
+      this.logViewer.render();
     } catch (error) {
-      document.getElementById("modal-content").innerHTML = `
+      if (!loading.isConnected) return;
+      container.innerHTML = `
                 <div class="error-message">
                     <i class="bi bi-exclamation-triangle"></i>
-                    <p>Failed to load boot log: ${error.message}</p>
+                    <p>Failed to load boot log: ${Utils.escapeHtml(error.message)}</p>
                 </div>
             `;
     }
   }
 
+  /**
+   * Get a shareable URL of the device page, optionally opening a view
+   */
+  getDeviceUrl(deviceId, view = "") {
+    const url = new URL(window.location);
+    const base = url.searchParams.get("base");
+    url.search = "";
+    url.hash = "";
+    if (base) url.searchParams.set("base", base);
+    url.searchParams.set("device", deviceId);
+    if (view) url.searchParams.set("view", view);
+    return url.toString();
+  }
+
+  /**
+   * Copy the device page URL to the clipboard
+   */
+  async copyDeviceUrl(deviceId) {
+    const success = await Utils.copyToClipboard(this.getDeviceUrl(deviceId));
+    if (success) {
+      Utils.showSuccess("error-container", "Link copied to clipboard");
+      setTimeout(() => Utils.clearMessages("error-container"), 2000);
+    }
+  }
+
+  /**
+   * Render a link icon pointing to the device page
+   */
+  renderPermalink(deviceId, view = "") {
+    return `
+            <a href="${Utils.escapeHtml(this.getDeviceUrl(deviceId, view))}" class="btn btn-sm btn-outline-light ms-1" title="Link to this view">
+                <i class="bi bi-link-45deg"></i>
+            </a>
+        `;
+  }
+
   /**
    * Generate environment file content for a device
    */
   generateEnvContent(device) {
-    // Default values (as requested)
-    const env = {
-      LG_IMAGE: device.firmware,
-      LG_PLACE: `${device.proxy}-${device.device}`,
-      LG_PROXY: device.proxy,
-      LG_ENV: `targets/${device.device}.yaml`,
-    };
-
-    // Build env file content (export lines)
-    const lines = Object.keys(env).map((k) => `export ${k}=${env[k]}`);
-    return lines.join("\n") + "\n";
+    // Not the image picked in the labgrid modal, which is for that modal only
+    return this.labgrid.render(device, "sh", device.firmware);
   }
 
   /**
@@ -615,35 +1685,37 @@ class DeviceManager {
 
     const content = this.generateEnvContent(device);
     const filename = `${device.proxy}-${device.device}.env`;
-
-    const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    // Append to DOM to make click work in some browsers
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    Utils.downloadFile(content, filename);
   }
 
   /**
    * Copy boot log to clipboard
+   *
+   * Uses the log of the open log viewer and only fetches it if the log of
+   * the device is not shown.
    */
   async copyBootLog(deviceId) {
     const device = this.devicesData.find((d) => d.device === deviceId);
     if (!device) return;
 
     try {
-      const response = await fetch(
-        this.getResourceUrl(
-          `results-${device.device}-${device.version_name}/console_main`,
-        ),
-      );
-      if (!response.ok) throw new Error("Failed to fetch boot log");
+      // Reuse the log on screen if it is still shown and no newer run of the
+      // device replaced it
+      const viewer = this.logViewer;
+      let logText;
+      if (
+        viewer &&
+        viewer.root.isConnected &&
+        device.report &&
+        this.logViewerReport === device.report
+      ) {
+        logText = viewer.getText();
+      } else {
+        const response = await this.fetchResource(this.getBootLogPath(device));
+        if (!response.ok) throw new Error("Failed to fetch boot log");
+        logText = await response.text();
+      }
 
-      const logText = await response.text();
       const success = await Utils.copyToClipboard(logText);
 
       if (success) {
@@ -661,6 +1733,110 @@ class DeviceManager {
     }
   }
 
+  /**
+   * Show data source settings modal
+   */
+  showDataSource() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Data Source";
+
+    let savedBaseUrl = "";
+    try {
+      savedBaseUrl = localStorage.getItem(CONFIG.BASE_URL_STORAGE_KEY) || "";
+    } catch (error) {
+      // localStorage is unavailable
+    }
+
+    document.getElementById("modal-content").innerHTML = `
+            <p class="small text-muted mb-3">
+                Currently showing results from
+                <strong>${Utils.escapeHtml(this.dataSource.label)}</strong>.
+            </p>
+            <h6>Results server</h6>
+            <div class="input-group mb-1">
+                <input type="url" class="form-control" id="baseUrlInput"
+                       placeholder="${Utils.escapeHtml(CONFIG.BASE_URL)}"
+                       value="${Utils.escapeHtml(savedBaseUrl)}">
+                <button class="btn btn-primary" onclick="deviceManager.applyBaseUrl(document.getElementById('baseUrlInput').value)">
+                    Save
+                </button>
+                <button class="btn btn-outline-secondary" onclick="deviceManager.applyBaseUrl('')">
+                    Reset
+                </button>
+            </div>
+            <p class="small text-muted mb-4">
+                Saved in this browser. Use <code>?base=&lt;url&gt;</code> to override it for a single link.
+            </p>
+            <h6>Local results directory</h6>
+            <p class="small text-muted">
+                Select or drop a directory containing <code>devices.json</code>,
+                <code>results-*/report.xml</code> and <code>console_main</code> files.
+            </p>
+            <input type="file" class="form-control" id="localDirectoryInput" webkitdirectory multiple
+                   onchange="deviceManager.loadLocalFiles(this.files)">
+            ${
+              this.dataSource instanceof CachedDataSource
+                ? `<h6 class="mt-4">Offline cache</h6>
+            <p class="small text-muted">
+                Results are kept in this browser so the dashboard opens instantly and works offline.
+            </p>
+            <button class="btn btn-sm btn-outline-danger" onclick="deviceManager.clearCache()">
+                <i class="bi bi-trash"></i> Clear cached results
+            </button>`
+                : ""
+            }
+        `;
+    modal.show();
+  }
+
+  /**
+   * Save a base URL override and reload from it
+   */
+  async applyBaseUrl(baseUrl) {
+    baseUrl = baseUrl.trim();
+    if (baseUrl && !Utils.isValidBaseUrl(baseUrl)) {
+      Utils.showToast(
+        "The base URL must start with http:// or https://",
+        "warning",
+      );
+      return;
+    }
+    Utils.setBaseUrl(baseUrl);
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    ).hide();
+    Utils.updateUrl({ base: null });
+    const resolvedUrl = Utils.getBaseUrl();
+    return this.setDataSource(new RemoteDataSource(resolvedUrl));
+  }
+
+  /**
+   * Remove all cached results from this browser
+   */
+  async clearCache() {
+    if (!(this.dataSource instanceof CachedDataSource)) return;
+    try {
+      await this.dataSource.clear();
+      Utils.showToast("Cached results cleared", "success");
+    } catch (error) {
+      console.error("Failed to clear cache:", error);
+      Utils.showToast("Failed to clear cached results", "danger");
+    }
+  }
+
+  /**
+   * Load results from local files chosen in a directory picker
+   */
+  async loadLocalFiles(fileList) {
+    if (!fileList || fileList.length === 0) return;
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    ).hide();
+    return this.setDataSource(LocalDataSource.fromFileList(fileList));
+  }
+
   /**
    * Format test message
    */
@@ -676,15 +1852,27 @@ class DeviceManager {
     const lastUpdateElement = document.getElementById("last-update");
     if (lastUpdateElement) {
       const now = new Date();
-      lastUpdateElement.textContent = `Last updated: ${now.toLocaleString()}`;
+      const source =
+        this.dataSource.label !== CONFIG.BASE_URL
+          ? ` | Source: ${this.dataSource.label}`
+          : "";
+      const offline = this.dataSource.offline
+        ? " | Offline, showing cached results"
+        : "";
+      lastUpdateElement.textContent = `Last updated: ${now.toLocaleString()}${source}${offline}`;
     }
   }
 
   /**
    * Refresh device data
+   *
+   * Once devices are loaded only changed reports are fetched and updated.
    */
   async refresh() {
-    return this.loadDevices();
+    if (this.loading || this.devicesData.length === 0) {
+      return this.loadDevices();
+    }
+    return this.updates.check();
   }
 }
 
@@ -0,0 +1,513 @@
+// Test duration analytics for OpenWrt Test Dashboard
+
+class DurationAnalyzer {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+  }
+
+  /**
+   * Get the key identifying a test across devices and runs
+   */
+  getTestKey(test) {
+    return `${test.classname}.${test.name}`;
+  }
+
+  /**
+   * Find a test that ran (was not skipped) in a report
+   */
+  findTest(report, key) {
+    if (!report) return null;
+    return (
+      report.testcases.find(
+        (tc) => this.getTestKey(tc) === key && tc.status !== "skipped",
+      ) || null
+    );
+  }
+
+  /**
+   * Get the report of the run before the latest one of a device
+   */
+  getPreviousReport(device) {
+    const report = device.report;
+    if (!report) return null;
+
+    const previous = this.deviceManager.history
+      .getRuns(device.device)
+      .filter(
+        (run) =>
+          run.report &&
+          run.report !== report &&
+          run.report.timestamp !== report.timestamp,
+      )
+      .pop();
+    return previous ? previous.report : null;
+  }
+
+  /**
+   * Get the median of a list of numbers
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Check whether a duration is significantly longer than a baseline
+   */
+  isSlower(time, baseline) {
+    return (
+      time - baseline >= CONFIG.DURATION_MIN_CHANGE &&
+      time >= baseline * CONFIG.DURATION_FACTOR
+    );
+  }
+
+  /**
+   * Index the latest duration of each test by target and test key
+   *
+   * Build it once when looking at many devices and pass it on, as it
+   * covers every test of every device.
+   */
+  getTargetTimes() {
+    const index = new Map();
+    this.deviceManager.devicesData.forEach((device) => {
+      if (!device.target || !device.report) return;
+      const seen = new Set();
+      device.report.testcases.forEach((test) => {
+        const key = this.getTestKey(test);
+        if (test.status === "skipped" || seen.has(key)) return;
+        seen.add(key);
+        const entryKey = `${device.target}\n${key}`;
+        if (!index.has(entryKey)) index.set(entryKey, []);
+        index.get(entryKey).push({ device, time: test.time });
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Get the median duration of a test on the other devices of a target
+   *
+   * Returns null if too few other devices ran the test.
+   */
+  getTargetMedian(device, key, targetTimes = this.getTargetTimes()) {
+    if (!device.target) return null;
+
+    const times = (targetTimes.get(`${device.target}\n${key}`) || [])
+      .filter((entry) => entry.device !== device)
+      .map((entry) => entry.time);
+    if (times.length < CONFIG.DURATION_MIN_PEERS) return null;
+    return { median: this.median(times), peers: times.length };
+  }
+
+  /**
+   * Find the tests of a device that got significantly slower
+   *
+   * The latest duration of each test is compared with the previous run
+   * of the device and with the same test on other devices of the target.
+   * Returns `{ test, reasons }` entries, where each reason has a `type`
+   * ("previous" or "target") and the `baseline` duration.
+   */
+  getRegressions(device, targetTimes = this.getTargetTimes()) {
+    const report = device.report;
+    if (!report) return [];
+    const previousReport = this.getPreviousReport(device);
+
+    return report.testcases
+      .filter((test) => test.status !== "skipped")
+      .map((test) => {
+        const key = this.getTestKey(test);
+        const reasons = [];
+
+        const previous = this.findTest(previousReport, key);
+        if (previous && this.isSlower(test.time, previous.time)) {
+          reasons.push({ type: "previous", baseline: previous.time });
+        }
+
+        const target = this.getTargetMedian(device, key, targetTimes);
+        if (target && this.isSlower(test.time, target.median)) {
+          reasons.push({
+            type: "target",
+            baseline: target.median,
+            peers: target.peers,
+          });
+        }
+
+        return { test, reasons };
+      })
+      .filter((entry) => entry.reasons.length > 0);
+  }
+
+  /**
+   * Find the duration regressions of all devices
+   */
+  getAllRegressions() {
+    const targetTimes = this.getTargetTimes();
+    return this.deviceManager.devicesData.flatMap((device) =>
+      this.getRegressions(device, targetTimes).map((entry) => ({
+        device,
+        ...entry,
+      })),
+    );
+  }
+
+  /**
+   * Rank tests by their average duration across devices, slowest first
+   */
+  getSlowestTests(limit = CONFIG.DURATION_TOP) {
+    const overview = this.deviceManager.testOverview;
+    return [...overview.buildIndex().values()]
+      .map((entry) => {
+        const runs = Object.entries(entry.results).filter(
+          ([, test]) => test.status !== "skipped",
+        );
+        if (runs.length === 0) return null;
+
+        const [slowestDevice, slowest] = runs.reduce((max, run) =>
+          run[1].time > max[1].time ? run : max,
+        );
+        return {
+          entry,
+          devices: runs.length,
+          average:
+            runs.reduce((sum, [, test]) => sum + test.time, 0) / runs.length,
+          max: slowest.time,
+          slowestDevice,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.average - a.average)
+      .slice(0, limit);
+  }
+
+  /**
+   * Describe why a test counts as slower
+   */
+  describeReason(test, reason) {
+    const change = Math.round((test.time / (reason.baseline || 1) - 1) * 100);
+    const baseline = Utils.formatDuration(reason.baseline);
+    return reason.type === "previous"
+      ? `+${change}% since the previous run (${baseline})`
+      : `+${change}% over the median of ${reason.peers} other devices of the target (${baseline})`;
+  }
+
+  /**
+   * Render a badge for device rows with slower tests
+   *
+   * Pass the `targetTimes` of getTargetTimes() when rendering many rows.
+   */
+  renderDeviceBadge(device, targetTimes = this.getTargetTimes()) {
+    const regressions = this.getRegressions(device, targetTimes);
+    if (regressions.length === 0) return "";
+
+    const title = regressions
+      .map(({ test }) => `${test.name}: ${Utils.formatDuration(test.time)}`)
+      .join("\n");
+    return `<a href="${Utils.escapeHtml(this.deviceManager.getDeviceUrl(device.device, "durations"))}"
+               class="badge duration-badge ms-1" title="${Utils.escapeHtml(title)}">
+                <i class="bi bi-hourglass-split"></i> ${regressions.length} slower
+            </a>`;
+  }
+
+  /**
+   * Render a marker for a slower test in the test details
+   *
+   * Pass the `regressions` of the device when rendering many tests, as
+   * finding them compares every test with all devices of the target.
+   */
+  renderTestBadge(device, test, regressions = this.getRegressions(device)) {
+    const regression = regressions.find((entry) => entry.test === test);
+    if (!regression) return "";
+
+    const title = regression.reasons
+      .map((reason) => this.describeReason(test, reason))
+      .join("\n");
+    return `<span class="badge duration-badge" title="${Utils.escapeHtml(title)}">slower</span>`;
+  }
+
+  /**
+   * Render durations as vertical bars, oldest first
+   *
+   * Points have a `label`, a `time` and optionally `highlight`.
+   */
+  renderTrend(points) {
+    if (points.length === 0) {
+      return '<p class="text-muted small mb-0">No durations available</p>';
+    }
+
+    const max = Math.max(...points.map((point) => point.time)) || 1;
+    const bars = points
+      .map(
+        (point) => `
+                <span class="duration-bar ${point.highlight ? "highlight" : ""}"
+                      style="height: ${Math.max((point.time / max) * 100, 2)}%"
+                      title="${Utils.escapeHtml(`${point.label}: ${Utils.formatDuration(point.time)}`)}"></span>
+            `,
+      )
+      .join("");
+
+    return `
+            <div class="d-flex align-items-end gap-2">
+                <div class="duration-trend">${bars}</div>
+                <small class="text-muted">max ${Utils.formatDuration(max)}</small>
+            </div>
+        `;
+  }
+
+  /**
+   * Render durations as horizontal bars, in the given order
+   *
+   * Items have a `label`, a `time` and optionally `highlight`, a `note`
+   * and `action` attributes that make the row clickable.
+   */
+  renderBars(items) {
+    if (items.length === 0) {
+      return '<p class="text-muted small mb-0">No durations available</p>';
+    }
+
+    const max = Math.max(...items.map((item) => item.time)) || 1;
+    const rows = items
+      .map(
+        (item) => `
+                <tr class="${item.action ? "clickable" : ""}" ${item.action || ""}>
+                    <td class="text-truncate" title="${Utils.escapeHtml(item.label)}">
+                        ${Utils.escapeHtml(item.label)}
+                        ${item.note || ""}
+                    </td>
+                    <td class="w-50">
+                        <div class="duration-track">
+                            <div class="duration-fill ${item.highlight ? "highlight" : ""}" style="width: ${(item.time / max) * 100}%"></div>
+                        </div>
+                    </td>
+                    <td class="text-end text-nowrap">${Utils.formatDuration(item.time)}</td>
+                </tr>
+            `,
+      )
+      .join("");
+
+    return `
+            <table class="table table-sm table-borderless duration-bars mb-0">
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+  }
+
+  /**
+   * Build the attributes of an element that opens the duration chart of a
+   * test
+   *
+   * The device and test are passed as data attributes, so test names with
+   * quotes do not end up in the handler's script.
+   */
+  getShowTestAttributes(deviceId, key) {
+    return `data-device="${Utils.escapeHtml(deviceId)}" data-test-key="${Utils.escapeHtml(key)}"
+                    onclick="deviceManager.durations.showTest(this.dataset.device, this.dataset.testKey)"`;
+  }
+
+  /**
+   * Render the duration charts of a device for the device page
+   */
+  renderDevice(device) {
+    const manager = this.deviceManager;
+    const report = device.report;
+    if (!report) {
+      return '<p class="text-muted">No test data available for this device</p>';
+    }
+
+    const runs = manager.history
+      .getRuns(device.device)
+      .filter((run) => run.report)
+      .map((run) => ({
+        label: Utils.formatTimestamp(manager.history.getRunTimestamp(run)),
+        time: run.report.time,
+        highlight: run.report === report,
+      }));
+
+    const regressions = this.getRegressions(device);
+    const regressed = new Set(
+      regressions.map((entry) => this.getTestKey(entry.test)),
+    );
+    const tests = report.testcases
+      .filter((test) => test.status !== "skipped")
+      .sort((a, b) => b.time - a.time)
+      .map((test) => {
+        const key = this.getTestKey(test);
+        return {
+          label: test.name,
+          time: test.time,
+          highlight: regressed.has(key),
+          note: this.renderTestBadge(device, test, regressions),
+          action: this.getShowTestAttributes(device.device, key),
+        };
+      });
+
+    const list = regressions
+      .map(
+        ({ test, reasons }) => `
+                <li>
+                    <strong>${Utils.escapeHtml(test.name)}</strong> took ${Utils.formatDuration(test.time)}:
+                    ${reasons.map((reason) => Utils.escapeHtml(this.describeReason(test, reason))).join(", ")}
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            ${
+              regressions.length > 0
+                ? `<div class="alert alert-warning small">
+                    <i class="bi bi-hourglass-split me-1"></i>
+                    ${regressions.length} test${regressions.length === 1 ? "" : "s"} got significantly slower
+                    <ul class="mb-0 mt-1">${list}</ul>
+                </div>`
+                : ""
+            }
+            <div class="card mb-3">
+                <div class="card-header">Run Duration</div>
+                <div class="card-body">${this.renderTrend(runs)}</div>
+            </div>
+            <div class="card mb-3">
+                <div class="card-header">Tests of the Latest Run</div>
+                <div class="card-body">${this.renderBars(tests)}</div>
+            </div>
+        `;
+  }
+
+  /**
+   * Render the fleet-wide regressions and slowest tests
+   */
+  render() {
+    const manager = this.deviceManager;
+    const regressions = this.getAllRegressions().sort(
+      (a, b) => b.test.time - a.test.time,
+    );
+
+    const regressionRows = regressions
+      .map(
+        ({ device, test, reasons }) => `
+                <tr class="clickable" ${this.getShowTestAttributes(device.device, this.getTestKey(test))}>
+                    <td>${Utils.escapeHtml(manager.getDisplayName(device))}</td>
+                    <td title="${Utils.escapeHtml(this.getTestKey(test))}">${Utils.escapeHtml(test.name)}</td>
+                    <td class="text-nowrap">${Utils.formatDuration(test.time)}</td>
+                    <td class="small">${reasons.map((reason) => Utils.escapeHtml(this.describeReason(test, reason))).join("<br>")}</td>
+                </tr>
+            `,
+      )
+      .join("");
+
+    const slowest = this.renderBars(
+      this.getSlowestTests().map((rank) => ({
+        label: rank.entry.name,
+        time: rank.average,
+        note: `<small class="text-muted d-block">${rank.devices} device${rank.devices === 1 ? "" : "s"}, up to ${Utils.formatDuration(rank.max)} on ${Utils.escapeHtml(rank.slowestDevice)}</small>`,
+        action: this.getShowTestAttributes(rank.slowestDevice, rank.entry.key),
+      })),
+    );
+
+    return `
+            <h6>Slower Tests <span class="badge bg-secondary">${regressions.length}</span></h6>
+            <p class="small text-muted">
+                Tests that took at least ${Math.round((CONFIG.DURATION_FACTOR - 1) * 100)}% and
+                ${CONFIG.DURATION_MIN_CHANGE}s longer than in the previous run or on the other devices of the same target.
+            </p>
+            ${
+              regressions.length > 0
+                ? `<div class="table-responsive mb-4">
+                    <table class="table table-sm table-hover test-results-table">
+                        <thead>
+                            <tr>
+                                <th>Device</th>
+                                <th>Test</th>
+                                <th>Duration</th>
+                                <th>Slower than</th>
+                            </tr>
+                        </thead>
+                        <tbody>${regressionRows}</tbody>
+                    </table>
+                </div>`
+                : '<p class="text-muted mb-4">No test got significantly slower</p>'
+            }
+            <h6>Slowest Tests</h6>
+            <p class="small text-muted">Average duration of the latest runs across all devices.</p>
+            ${slowest}
+        `;
+  }
+
+  /**
+   * Show the fleet-wide duration analytics in the modal
+   */
+  show() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Test Durations";
+    document.getElementById("modal-content").innerHTML = this.render();
+    modal.show();
+  }
+
+  /**
+   * Show the durations of a test across runs of a device and across devices
+   */
+  showTest(deviceId, key) {
+    const manager = this.deviceManager;
+    const device = manager.devicesData.find((d) => d.device === deviceId);
+    if (!device) return;
+    const latest = this.findTest(device.report, key);
+
+    const runs = manager.history
+      .getRuns(deviceId)
+      .map((run) => ({ run, test: this.findTest(run.report, key) }))
+      .filter(({ test }) => test)
+      .map(({ run, test }) => ({
+        label: Utils.formatTimestamp(manager.history.getRunTimestamp(run)),
+        time: test.time,
+        highlight: run.report === device.report,
+      }));
+
+    const devices = manager.devicesData
+      .map((other) => ({ other, test: this.findTest(other.report, key) }))
+      .filter(({ test }) => test)
+      .sort(
+        (a, b) =>
+          (a.other.target || "").localeCompare(b.other.target || "") ||
+          b.test.time - a.test.time,
+      )
+      .map(({ other, test }) => ({
+        label: manager.getDisplayName(other),
+        time: test.time,
+        highlight: other === device,
+        note: `<small class="text-muted">${Utils.escapeHtml(other.target || "Unknown")}</small>`,
+        action: this.getShowTestAttributes(other.device, key),
+      }));
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `${key.split(".").pop()} - ${manager.getDisplayName(device)}`;
+    document.getElementById("modal-content").innerHTML = `
+            <div class="mb-3">
+                <button class="btn btn-sm btn-outline-secondary" onclick="deviceManager.durations.show()">
+                    <i class="bi bi-arrow-left"></i> Back to Test Durations
+                </button>
+            </div>
+            <p class="small">
+                <span class="text-muted">${Utils.escapeHtml(key)}</span><br>
+                Latest run: ${latest ? Utils.formatDuration(latest.time) : "not run"}
+                ${latest ? this.renderTestBadge(device, latest) : ""}
+            </p>
+            <h6>Runs on ${Utils.escapeHtml(manager.getDisplayName(device))}</h6>
+            <div class="mb-4">${this.renderTrend(runs)}</div>
+            <h6>Latest Run on All Devices</h6>
+            ${this.renderBars(devices)}
+        `;
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DurationAnalyzer;
+}
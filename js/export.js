@@ -0,0 +1,440 @@
+// Result export for OpenWrt Test Dashboard
+
+class ExportManager {
+  // Longest test message kept in summaries
+  static MESSAGE_LENGTH = 200;
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.format = "markdown";
+  }
+
+  /**
+   * Get the devices to export, i.e. the currently filtered ones
+   */
+  getDevices() {
+    return this.deviceManager.filteredDevices;
+  }
+
+  /**
+   * Build a filename for an export of the current version
+   */
+  getFilename(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    const version = this.deviceManager.version || "results";
+    return `openwrt-tests-${version}-${date}.${extension}`;
+  }
+
+  /**
+   * Get the first line of a test message without ANSI escape codes
+   */
+  getShortMessage(test) {
+    const message = test.message || test.details || "";
+    const line = Utils.stripAnsi(message)
+      .split("\n")
+      .map((l) => l.trim())
+      .find(Boolean);
+    if (!line) return "";
+    return line.length > ExportManager.MESSAGE_LENGTH
+      ? `${line.substring(0, ExportManager.MESSAGE_LENGTH)}...`
+      : line;
+  }
+
+  /**
+   * Convert a device into a plain object with its report and testcases
+   */
+  normalizeDevice(device) {
+    const manager = this.deviceManager;
+    const report = device.report;
+
+    return {
+      device: device.device,
+      name: manager.getDisplayName(device),
+      target: device.target || null,
+      proxy: device.proxy || null,
+      firmware: device.firmware || null,
+      status: manager.getDeviceStatus(device),
+      report: report
+        ? {
+            timestamp: report.timestamp,
+            firmware_version: report.firmware_version || null,
+            time: report.time,
+            tests: report.tests,
+            passed: report.passed,
+            failures: report.failures,
+            errors: report.errors,
+            skipped: report.skipped,
+            properties: report.properties,
+            testcases: report.testcases.map((test) => {
+              const flaky = manager.flaky.getFlakyReason(device, test);
+              return {
+                classname: test.classname,
+                name: test.name,
+                status: test.status,
+                time: test.time,
+                message: test.message || null,
+                type: test.type || null,
+                details: test.details || null,
+                flaky: flaky ? flaky.type : null,
+              };
+            }),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Export devices as JSON
+   */
+  toJson(devices = this.getDevices()) {
+    return JSON.stringify(
+      {
+        version: this.deviceManager.version || null,
+        generated: new Date().toISOString(),
+        devices: devices.map((device) => this.normalizeDevice(device)),
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Quote a value for a CSV field
+   */
+  csvField(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Export devices as CSV with one row per testcase
+   *
+   * Devices without a report get a single row with the status "nodata".
+   */
+  toCsv(devices = this.getDevices()) {
+    const columns = [
+      "version",
+      "device",
+      "name",
+      "target",
+      "proxy",
+      "device_status",
+      "firmware_version",
+      "timestamp",
+      "classname",
+      "test",
+      "test_status",
+      "flaky",
+      "time",
+      "message",
+    ];
+    const version = this.deviceManager.version || "";
+    const rows = [];
+
+    devices.forEach((device) => {
+      const data = this.normalizeDevice(device);
+      const base = [
+        version,
+        data.device,
+        data.name,
+        data.target,
+        data.proxy,
+        data.status,
+        data.report && data.report.firmware_version,
+        data.report && data.report.timestamp,
+      ];
+
+      if (!data.report || data.report.testcases.length === 0) {
+        rows.push([...base, "", "", "", "", "", ""]);
+        return;
+      }
+
+      data.report.testcases.forEach((test) => {
+        rows.push([
+          ...base,
+          test.classname,
+          test.name,
+          test.status,
+          test.flaky,
+          test.time,
+          test.message,
+        ]);
+      });
+    });
+
+    return [columns, ...rows]
+      .map((row) => row.map((value) => this.csvField(value)).join(","))
+      .join("\r\n");
+  }
+
+  /**
+   * Collect the numbers shown in the summary
+   */
+  buildSummary(devices = this.getDevices()) {
+    const manager = this.deviceManager;
+    const summary = {
+      total: devices.length,
+      statuses: { pass: 0, failed: 0, error: 0, flaky: 0, skipped: 0, nodata: 0 },
+      targets: {},
+      failing: [],
+    };
+
+    devices.forEach((device) => {
+      const status = manager.getDeviceStatus(device);
+      summary.statuses[status]++;
+
+      const target = device.target || "Unknown";
+      if (!summary.targets[target]) {
+        summary.targets[target] = { devices: 0, passing: 0, tested: 0 };
+      }
+      const totals = summary.targets[target];
+      totals.devices++;
+      if (status !== "nodata") totals.tested++;
+      if (status === "pass" || status === "flaky" || status === "skipped") {
+        totals.passing++;
+      }
+
+      if (status === "failed" || status === "error") {
+        summary.failing.push({
+          device,
+          tests: device.report.testcases.filter(
+            (test) =>
+              (test.status === "failed" || test.status === "error") &&
+              !manager.flaky.getFlakyReason(device, test),
+          ),
+        });
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Format a pass rate for the summary
+   */
+  formatRate(passing, tested) {
+    if (!tested) return "-";
+    return `${Math.round((passing / tested) * 100)}%`;
+  }
+
+  /**
+   * Get the one-line status overview of a summary
+   */
+  getStatusLine(summary) {
+    const s = summary.statuses;
+    return (
+      `${summary.total} devices: ${s.pass} passing, ${s.failed} failing, ` +
+      `${s.error} with errors, ${s.flaky} flaky, ${s.skipped} skipped, ${s.nodata} without data`
+    );
+  }
+
+  /**
+   * Generate a Markdown summary, e.g. for a GitHub issue
+   */
+  toMarkdown(devices = this.getDevices()) {
+    const manager = this.deviceManager;
+    const summary = this.buildSummary(devices);
+    const cell = (value) => String(value).replace(/\|/g, "\\|");
+    const lines = [
+      `## OpenWrt test results${manager.version ? `: ${manager.version}` : ""}`,
+      "",
+      `Generated ${new Date().toISOString().slice(0, 10)}. ${this.getStatusLine(summary)}.`,
+      "",
+      "### Pass rate per target",
+      "",
+      "| Target | Devices | Tested | Passing | Pass rate |",
+      "| --- | ---: | ---: | ---: | ---: |",
+    ];
+
+    Object.keys(summary.targets)
+      .sort()
+      .forEach((target) => {
+        const t = summary.targets[target];
+        lines.push(
+          `| ${cell(target)} | ${t.devices} | ${t.tested} | ${t.passing} | ${this.formatRate(t.passing, t.tested)} |`,
+        );
+      });
+
+    lines.push("", "### Failing devices", "");
+    if (summary.failing.length === 0) {
+      lines.push("None.");
+    }
+    summary.failing.forEach(({ device, tests }) => {
+      const firmware = device.report.firmware_version
+        ? `, firmware ${device.report.firmware_version}`
+        : "";
+      lines.push(
+        `- **${manager.getDisplayName(device)}** (\`${device.device}\`, ${device.target || "Unknown"}${firmware})`,
+      );
+      tests.forEach((test) => {
+        const message = this.getShortMessage(test);
+        lines.push(
+          `  - \`${test.classname}.${test.name}\` ${test.status}${message ? `: ${message}` : ""}`,
+        );
+      });
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Generate a plain text summary, e.g. for a mailing list
+   */
+  toText(devices = this.getDevices()) {
+    const manager = this.deviceManager;
+    const summary = this.buildSummary(devices);
+    const title = `OpenWrt test results${manager.version ? `: ${manager.version}` : ""}`;
+    const targets = Object.keys(summary.targets).sort();
+    const width = Math.max(6, ...targets.map((target) => target.length));
+    const lines = [
+      title,
+      "=".repeat(title.length),
+      "",
+      `Generated ${new Date().toISOString().slice(0, 10)}.`,
+      `${this.getStatusLine(summary)}.`,
+      "",
+      "Pass rate per target",
+      "--------------------",
+      "",
+      `${"Target".padEnd(width)}  Devices  Tested  Passing  Pass rate`,
+    ];
+
+    targets.forEach((target) => {
+      const t = summary.targets[target];
+      lines.push(
+        `${target.padEnd(width)}  ${String(t.devices).padStart(7)}  ${String(t.tested).padStart(6)}  ` +
+          `${String(t.passing).padStart(7)}  ${this.formatRate(t.passing, t.tested).padStart(9)}`,
+      );
+    });
+
+    lines.push("", "Failing devices", "---------------", "");
+    if (summary.failing.length === 0) {
+      lines.push("None.");
+    }
+    summary.failing.forEach(({ device, tests }) => {
+      const firmware = device.report.firmware_version
+        ? `, firmware ${device.report.firmware_version}`
+        : "";
+      lines.push(
+        `* ${manager.getDisplayName(device)} (${device.device}, ${device.target || "Unknown"}${firmware})`,
+      );
+      tests.forEach((test) => {
+        const message = this.getShortMessage(test);
+        lines.push(
+          `    - ${test.classname}.${test.name} ${test.status}${message ? `: ${message}` : ""}`,
+        );
+      });
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Get the summary in the selected format
+   */
+  getSummary() {
+    return this.format === "text" ? this.toText() : this.toMarkdown();
+  }
+
+  /**
+   * Download the filtered devices as CSV
+   */
+  downloadCsv() {
+    Utils.downloadFile(
+      this.toCsv(),
+      this.getFilename("csv"),
+      "text/csv;charset=utf-8",
+    );
+  }
+
+  /**
+   * Download the filtered devices as JSON
+   */
+  downloadJson() {
+    Utils.downloadFile(
+      this.toJson(),
+      this.getFilename("json"),
+      "application/json;charset=utf-8",
+    );
+  }
+
+  /**
+   * Download the summary in the selected format
+   */
+  downloadSummary() {
+    const extension = this.format === "text" ? "txt" : "md";
+    Utils.downloadFile(this.getSummary(), this.getFilename(extension));
+  }
+
+  /**
+   * Switch the summary format shown in the modal
+   */
+  setFormat(format) {
+    this.format = format;
+    const textarea = document.getElementById("export-summary");
+    if (textarea) textarea.value = this.getSummary();
+  }
+
+  /**
+   * Copy the summary shown in the modal to the clipboard
+   */
+  async copySummary() {
+    const textarea = document.getElementById("export-summary");
+    if (!textarea) return;
+
+    const success = await Utils.copyToClipboard(textarea.value);
+    if (success) {
+      const button = document.getElementById("export-copy-btn");
+      const original = button.innerHTML;
+      button.innerHTML = '<i class="bi bi-check"></i> Copied';
+      setTimeout(() => {
+        button.innerHTML = original;
+      }, 2000);
+    }
+  }
+
+  /**
+   * Show the summary of the filtered devices in a modal
+   */
+  showSummary() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Results Summary";
+
+    const count = this.getDevices().length;
+    const total = this.deviceManager.devicesData.length;
+    document.getElementById("modal-content").innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <div class="btn-group btn-group-sm" role="group">
+                    <input type="radio" class="btn-check" name="exportFormat" id="exportMarkdown"
+                           ${this.format === "markdown" ? "checked" : ""}
+                           onchange="deviceManager.exporter.setFormat('markdown')">
+                    <label class="btn btn-outline-primary" for="exportMarkdown">Markdown</label>
+                    <input type="radio" class="btn-check" name="exportFormat" id="exportText"
+                           ${this.format === "text" ? "checked" : ""}
+                           onchange="deviceManager.exporter.setFormat('text')">
+                    <label class="btn btn-outline-primary" for="exportText">Plain Text</label>
+                </div>
+                <small class="text-muted">${count} of ${total} devices (current filter)</small>
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-secondary" id="export-copy-btn" onclick="deviceManager.exporter.copySummary()">
+                        <i class="bi bi-clipboard"></i> Copy
+                    </button>
+                    <button class="btn btn-outline-success" onclick="deviceManager.exporter.downloadSummary()">
+                        <i class="bi bi-download"></i> Download
+                    </button>
+                </div>
+            </div>
+            <textarea id="export-summary" class="form-control font-monospace small" rows="20" readonly></textarea>
+        `;
+    document.getElementById("export-summary").value = this.getSummary();
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ExportManager;
+}
@@ -0,0 +1,176 @@
+// Request scheduling for OpenWrt Test Dashboard
+
+// Error of a request that failed for good, with the reason as `type`:
+// "timeout" or "network"
+class FetchError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "FetchError";
+    this.type = type;
+  }
+}
+
+class FetchQueue {
+  constructor(concurrency = CONFIG.FETCH_CONCURRENCY) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.pending = [];
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Signal aborted when the current batch of requests is cancelled
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Cancel all queued and running requests
+   *
+   * Requests added afterwards run normally.
+   */
+  cancel() {
+    this.controller.abort();
+    this.controller = new AbortController();
+    this.next();
+  }
+
+  /**
+   * Create the error cancelled requests are rejected with
+   */
+  static abortError() {
+    return new DOMException("The load was cancelled", "AbortError");
+  }
+
+  /**
+   * Check whether an error comes from a cancelled request
+   */
+  static isAbort(error) {
+    return !!error && error.name === "AbortError";
+  }
+
+  /**
+   * Run a task once fewer than `concurrency` tasks are running
+   *
+   * The task receives the abort signal of the batch it was queued in.
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject, signal: this.signal });
+      this.next();
+    });
+  }
+
+  /**
+   * Start queued tasks while there are free slots
+   */
+  next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      if (job.signal.aborted) {
+        job.reject(FetchQueue.abortError());
+        continue;
+      }
+
+      this.active++;
+      Promise.resolve()
+        .then(() => job.task(job.signal))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Wait before a retry, unless the batch is cancelled meanwhile
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(FetchQueue.abortError());
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Check whether a response status is worth retrying
+   */
+  isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Read the body of a response and return a copy that holds it
+   */
+  async buffer(response) {
+    const text = await response.text();
+    return new Response(response.status === 204 ? null : text, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Queue a request with a timeout per attempt and retries with backoff
+   *
+   * `request` is called with an AbortSignal and returns a Response. Network
+   * errors, timeouts and 5xx responses are retried; other responses,
+   * including 404, are returned as they are. The body is read within the
+   * attempt, so the timeout and cancel() cover it, and the returned
+   * Response holds it in memory.
+   */
+  fetch(
+    request,
+    { timeout = CONFIG.FETCH_TIMEOUT, retries = CONFIG.FETCH_RETRIES } = {},
+  ) {
+    return this.run(async (signal) => {
+      for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener("abort", onAbort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+
+        try {
+          const response = await request(controller.signal);
+          if (!this.isRetryable(response.status) || attempt >= retries) {
+            return await this.buffer(response);
+          }
+        } catch (error) {
+          if (signal.aborted) throw FetchQueue.abortError();
+          if (attempt >= retries) {
+            throw timedOut
+              ? new FetchError(
+                  "timeout",
+                  `Timed out after ${timeout / 1000}s`,
+                )
+              : new FetchError("network", error.message);
+          }
+        } finally {
+          clearTimeout(timer);
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        await this.delay(CONFIG.FETCH_RETRY_DELAY * 2 ** attempt, signal);
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FetchQueue, FetchError };
+}
@@ -0,0 +1,200 @@
+// Flaky test detection and quarantine for OpenWrt Test Dashboard
+
+class FlakyTracker {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.quarantine = [];
+    // Reasons by testcase, see getFlakyReason()
+    this.reasons = new WeakMap();
+  }
+
+  /**
+   * Load the quarantine list of known flaky tests
+   *
+   * The list lives next to devices.json and contains entries of the form
+   * `{ "test": "<classname>.<name> or <name>", "devices": [...],
+   * "targets": [...], "reason": "...", "issue": "<url>" }`. Entries without
+   * devices or targets apply to every device.
+   */
+  async loadQuarantine() {
+    try {
+      const response = await this.deviceManager.fetchResource(
+        CONFIG.QUARANTINE_FILE,
+      );
+      if (!response.ok) {
+        this.quarantine = [];
+        return this.quarantine;
+      }
+      const data = await response.json();
+      this.quarantine = Array.isArray(data) ? data : data.tests || [];
+    } catch (error) {
+      console.warn("Error loading quarantine list:", error);
+      this.quarantine = [];
+    }
+    return this.quarantine;
+  }
+
+  /**
+   * Find the quarantine entry matching a test on a device
+   */
+  getQuarantineEntry(device, test) {
+    const key = `${test.classname}.${test.name}`;
+    return (
+      this.quarantine.find((entry) => {
+        if (entry.test !== key && entry.test !== test.name) return false;
+        if (entry.devices && !entry.devices.includes(device.device)) {
+          return false;
+        }
+        if (entry.targets && !entry.targets.includes(device.target)) {
+          return false;
+        }
+        return true;
+      }) || null
+    );
+  }
+
+  /**
+   * Get how often a test flipped between pass and fail in recent runs
+   *
+   * Returns the number of flips divided by the number of transitions
+   * counted, or null if there are not enough runs with a result for the
+   * test. The transition into a current failure streak is not counted, so
+   * that a new regression is not mistaken for a flaky test.
+   */
+  getFlipRate(deviceId, test) {
+    const statuses = this.deviceManager.history
+      .getRuns(deviceId)
+      .filter((run) => run.report)
+      .slice(-CONFIG.FLAKY_WINDOW)
+      .map((run) => {
+        const tc = run.report.testcases.find(
+          (t) => t.classname === test.classname && t.name === test.name,
+        );
+        if (!tc || tc.status === "skipped") return null;
+        return tc.status === "passed" ? "pass" : "fail";
+      })
+      .filter(Boolean);
+
+    if (statuses.length < CONFIG.FLAKY_MIN_RUNS) return null;
+
+    let streakStart = statuses.length;
+    while (streakStart > 0 && statuses[streakStart - 1] === "fail") {
+      streakStart--;
+    }
+
+    let flips = 0;
+    let transitions = 0;
+    for (let i = 1; i < statuses.length; i++) {
+      if (i === streakStart) continue;
+      transitions++;
+      if (statuses[i] !== statuses[i - 1]) flips++;
+    }
+    return transitions > 0 ? flips / transitions : 0;
+  }
+
+  /**
+   * Check whether a test flips often enough to be considered flaky
+   */
+  isFlaky(deviceId, test) {
+    const rate = this.getFlipRate(deviceId, test);
+    return rate !== null && rate >= CONFIG.FLAKY_THRESHOLD;
+  }
+
+  /**
+   * Get the reason a failing test is de-emphasized, or null
+   *
+   * Device statuses need this for every failing test, also while sorting,
+   * so reasons are memoized per testcase until the history of the device or
+   * the quarantine list is reloaded.
+   */
+  getFlakyReason(device, test) {
+    if (test.status !== "failed" && test.status !== "error") return null;
+
+    const runs = this.deviceManager.history.getRuns(device.device);
+    const cached = this.reasons.get(test);
+    if (
+      cached &&
+      cached.runs === runs &&
+      cached.quarantine === this.quarantine &&
+      cached.target === device.target
+    ) {
+      return cached.reason;
+    }
+
+    const reason = this.findFlakyReason(device, test);
+    this.reasons.set(test, {
+      runs,
+      quarantine: this.quarantine,
+      target: device.target,
+      reason,
+    });
+    return reason;
+  }
+
+  /**
+   * Find the reason a failing test is de-emphasized, or null
+   */
+  findFlakyReason(device, test) {
+    const entry = this.getQuarantineEntry(device, test);
+    if (entry) {
+      return {
+        type: "quarantined",
+        label: "quarantined",
+        title: entry.reason || "Known flaky test",
+        issue: entry.issue || null,
+      };
+    }
+
+    const rate = this.getFlipRate(device.device, test);
+    if (rate !== null && rate >= CONFIG.FLAKY_THRESHOLD) {
+      return {
+        type: "flaky",
+        label: "flaky",
+        title: `Flipped between pass and fail in ${Math.round(rate * 100)}% of recent runs`,
+        issue: null,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Split the failures of a report into real and flaky ones
+   */
+  getCounts(device) {
+    const counts = { failures: 0, errors: 0, flaky: 0 };
+    const report = device.report;
+    if (!report) return counts;
+
+    // Suites without testcases only have aggregate counts
+    const counted = report.testcases.filter(
+      (tc) => tc.status === "failed" || tc.status === "error",
+    );
+    counts.failures = report.failures;
+    counts.errors = report.errors;
+
+    counted.forEach((test) => {
+      if (!this.getFlakyReason(device, test)) return;
+      counts.flaky++;
+      if (test.status === "failed") counts.failures--;
+      else counts.errors--;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Render the badge shown next to a de-emphasized failure
+   */
+  renderBadge(reason) {
+    const badge = `<span class="badge flaky-badge ms-1" title="${Utils.escapeHtml(reason.title)}">${reason.label}</span>`;
+    return reason.issue
+      ? `<a href="${Utils.escapeHtml(reason.issue)}" target="_blank">${badge}</a>`
+      : badge;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FlakyTracker;
+}
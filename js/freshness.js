@@ -0,0 +1,207 @@
+// Freshness of test results for OpenWrt Test Dashboard
+
+class FreshnessTracker {
+  // Ages results can be considered stale after, offered in the page
+  static MAX_AGES = [
+    [12 * 60 * 60 * 1000, "12 hours"],
+    [24 * 60 * 60 * 1000, "24 hours"],
+    [48 * 60 * 60 * 1000, "48 hours"],
+    [7 * 24 * 60 * 60 * 1000, "7 days"],
+  ];
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.maxAge = CONFIG.STALE_AFTER;
+    this.excludeStale = false;
+
+    try {
+      const settings = JSON.parse(
+        localStorage.getItem(CONFIG.FRESHNESS_STORAGE_KEY) || "{}",
+      );
+      if (settings.maxAge > 0) this.maxAge = settings.maxAge;
+      this.excludeStale = settings.excludeStale === true;
+    } catch (error) {
+      // localStorage is unavailable or holds no valid settings
+    }
+  }
+
+  /**
+   * Remember the settings in localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        CONFIG.FRESHNESS_STORAGE_KEY,
+        JSON.stringify({
+          maxAge: this.maxAge,
+          excludeStale: this.excludeStale,
+        }),
+      );
+    } catch (error) {
+      // localStorage is unavailable
+    }
+  }
+
+  /**
+   * Get the time of the latest report of a device, or null
+   */
+  getTime(device) {
+    const time = device.report && Date.parse(device.report.timestamp);
+    return time || null;
+  }
+
+  /**
+   * Check whether the latest report of a device is older than `maxAge`
+   */
+  isOld(device) {
+    const time = this.getTime(device);
+    return time !== null && Date.now() - time > this.maxAge;
+  }
+
+  /**
+   * Get the firmware revision of a report, e.g. "r28123-4c3a1b2e7f"
+   */
+  getRevision(report) {
+    const parsed = Utils.parseRevision(report && report.firmware_version);
+    return parsed ? parsed.revision : null;
+  }
+
+  /**
+   * Get the firmware revision tested on more than half of the devices
+   * with a report, or null if there is none
+   */
+  getMajorityRevision() {
+    const counts = {};
+    let total = 0;
+    this.deviceManager.devicesData.forEach((device) => {
+      const revision = this.getRevision(device.report);
+      if (!revision) return;
+      counts[revision] = (counts[revision] || 0) + 1;
+      total++;
+    });
+
+    const [revision, count] = Object.entries(counts).sort(
+      (a, b) => b[1] - a[1],
+    )[0] || [null, 0];
+    return count > total / 2 ? { revision, count, total } : null;
+  }
+
+  /**
+   * Get why the result of a device is stale, as a list of messages
+   *
+   * A result is stale if it is older than `maxAge` or was tested with
+   * another firmware revision than `majority`, as returned by
+   * getMajorityRevision() once for all devices that are checked.
+   */
+  getStaleReasons(device, majority) {
+    if (!device.report) return [];
+
+    const reasons = [];
+    if (this.isOld(device)) {
+      reasons.push(
+        `Tested ${Utils.formatRelativeTime(device.report.timestamp)}`,
+      );
+    }
+    const revision = this.getRevision(device.report);
+    if (majority && revision && revision !== majority.revision) {
+      reasons.push(
+        `Firmware ${revision} differs from ${majority.revision} tested on ${majority.count} of ${majority.total} devices`,
+      );
+    }
+    return reasons;
+  }
+
+  /**
+   * Check whether the result of a device is stale
+   */
+  isStale(device, majority) {
+    return this.getStaleReasons(device, majority).length > 0;
+  }
+
+  /**
+   * Check whether the tests of a device count as passed in the stats
+   */
+  countsAsPassed(device, majority) {
+    return !this.excludeStale || !this.isStale(device, majority);
+  }
+
+  /**
+   * Render when a device was last tested, with a badge if it is stale
+   */
+  renderAge(device, majority) {
+    if (!device.report) return "";
+
+    const reasons = this.getStaleReasons(device, majority);
+    const tested = device.report.timestamp
+      ? `<span title="${Utils.escapeHtml(Utils.formatTimestamp(device.report.timestamp))}">Tested ${Utils.formatRelativeTime(device.report.timestamp)}</span>`
+      : "Test time unknown";
+    return `
+            ${tested}
+            ${reasons.length > 0 ? `<span class="badge stale-badge ms-1" title="${Utils.escapeHtml(reasons.join("\n"))}"><i class="bi bi-clock-history"></i> stale</span>` : ""}
+        `;
+  }
+
+  /**
+   * Show only the devices with stale results
+   */
+  showStale() {
+    const radio = document.getElementById("filterStale");
+    if (radio) radio.checked = true;
+    this.deviceManager.filterDevices(undefined, "stale");
+    Utils.updateUrl({ filter: "stale" });
+  }
+
+  /**
+   * Set the age results are considered stale after
+   */
+  setMaxAge(maxAge) {
+    this.maxAge = parseInt(maxAge) || CONFIG.STALE_AFTER;
+    this.save();
+    this.apply();
+  }
+
+  /**
+   * Exclude stale results from the passed tests in the stats, or not
+   */
+  setExcludeStale(excludeStale) {
+    this.excludeStale = excludeStale;
+    this.save();
+    this.apply();
+  }
+
+  /**
+   * Update everything that depends on the freshness settings
+   */
+  apply() {
+    this.deviceManager.updateStats();
+    this.deviceManager.filterDevices();
+  }
+
+  /**
+   * Reflect the settings in the controls of the page
+   */
+  renderControls() {
+    const select = document.getElementById("staleAge");
+    if (select) {
+      const ages = [...FreshnessTracker.MAX_AGES];
+      if (!ages.some(([age]) => age === this.maxAge)) {
+        const hours = Math.round(this.maxAge / 3600000);
+        ages.push([this.maxAge, `${hours} hours`]);
+      }
+      select.innerHTML = ages
+        .map(
+          ([age, label]) =>
+            `<option value="${age}" ${age === this.maxAge ? "selected" : ""}>Stale after ${label}</option>`,
+        )
+        .join("");
+    }
+
+    const exclude = document.getElementById("excludeStale");
+    if (exclude) exclude.checked = this.excludeStale;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FreshnessTracker;
+}
@@ -0,0 +1,319 @@
+// Run history tracking for OpenWrt Test Dashboard
+
+class HistoryManager {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.index = {};
+    this.runs = {};
+  }
+
+  /**
+   * Load the history index listing past runs per device
+   *
+   * The index lives next to devices.json and maps a device ID to a list of
+   * runs: `{ "<device>": [{ "id", "timestamp", "path" }] }`, where `path`
+   * is the results directory of that run relative to the version directory.
+   */
+  async loadIndex(options = {}) {
+    try {
+      const response = await this.deviceManager.fetchQueued(
+        CONFIG.HISTORY_INDEX,
+        options,
+      );
+      if (!response.ok) {
+        console.warn(`History index not available: ${response.status}`);
+        this.index = {};
+        return this.index;
+      }
+      this.index = await response.json();
+    } catch (error) {
+      console.warn("Error loading history index:", error);
+      this.index = {};
+    }
+    return this.index;
+  }
+
+  /**
+   * Load and parse the reports of past runs for a device
+   */
+  async loadDeviceHistory(device) {
+    const entries = (this.index[device.device] || []).slice(
+      -CONFIG.HISTORY_LIMIT,
+    );
+
+    const runs = await Promise.all(
+      entries.map(async (entry) => {
+        try {
+          const response = await this.deviceManager.fetchQueued(
+            `${entry.path}/report.xml`,
+          );
+          if (!response.ok) {
+            return { ...entry, report: null };
+          }
+          const reportText = await response.text();
+          return {
+            ...entry,
+            report: this.deviceManager.parseTestReport(reportText),
+          };
+        } catch (error) {
+          if (FetchQueue.isAbort(error)) throw error;
+          console.warn(`Error loading run ${entry.id} for ${device.device}:`, error);
+          return { ...entry, report: null };
+        }
+      }),
+    );
+
+    // The latest report is part of the history unless the index lists it already
+    if (device.report) {
+      const latestTimestamp = device.report.timestamp;
+      const known = runs.some(
+        (run) =>
+          (run.report && run.report.timestamp === latestTimestamp) ||
+          run.timestamp === latestTimestamp,
+      );
+      if (!known) {
+        runs.push({
+          id: "latest",
+          timestamp: latestTimestamp,
+          report: device.report,
+        });
+      }
+    }
+
+    runs.sort(
+      (a, b) =>
+        new Date(this.getRunTimestamp(a)) - new Date(this.getRunTimestamp(b)),
+    );
+
+    this.runs[device.device] = runs;
+    return runs;
+  }
+
+  /**
+   * Load the history of all given devices
+   */
+  async loadAll(devices) {
+    await this.loadIndex();
+    await Promise.all(devices.map((device) => this.loadDeviceHistory(device)));
+    return this.runs;
+  }
+
+  /**
+   * Get the runs of a device, oldest first
+   */
+  getRuns(deviceId) {
+    return this.runs[deviceId] || [];
+  }
+
+  /**
+   * Get the timestamp of a run, preferring the one from its report
+   */
+  getRunTimestamp(run) {
+    return (run.report && run.report.timestamp) || run.timestamp || null;
+  }
+
+  /**
+   * Get the status of a single run
+   */
+  getRunStatus(run) {
+    if (!run.report) return "nodata";
+    if (run.report.failures > 0 || run.report.errors > 0) return "failed";
+    return "passed";
+  }
+
+  /**
+   * Find the first run of the current failure streak of a device
+   */
+  getFirstFailure(deviceId) {
+    const runs = this.getRuns(deviceId).filter((run) => run.report);
+    let firstFailure = null;
+
+    for (let i = runs.length - 1; i >= 0; i--) {
+      if (this.getRunStatus(runs[i]) !== "failed") break;
+      firstFailure = runs[i];
+    }
+
+    return firstFailure;
+  }
+
+  /**
+   * Find the first run of the current failure streak of a single test
+   */
+  getTestFirstFailure(deviceId, classname, name) {
+    const runs = this.getRuns(deviceId).filter((run) => run.report);
+    let firstFailure = null;
+
+    for (let i = runs.length - 1; i >= 0; i--) {
+      const test = runs[i].report.testcases.find(
+        (tc) => tc.classname === classname && tc.name === name,
+      );
+      if (!test || (test.status !== "failed" && test.status !== "error")) {
+        break;
+      }
+      firstFailure = runs[i];
+    }
+
+    return firstFailure;
+  }
+
+  /**
+   * Find the last passing run before the current failure streak of a
+   * device and the first failing run of the streak
+   *
+   * The commits between their firmware revisions are the ones that may
+   * have caused the failures. Returns `{ passed, failed }` or null.
+   */
+  getRegression(deviceId) {
+    const firstFailure = this.getFirstFailure(deviceId);
+    if (!firstFailure) return null;
+
+    const runs = this.getRuns(deviceId).filter((run) => run.report);
+    const passed = runs[runs.indexOf(firstFailure) - 1];
+    if (!passed) return null;
+    return { passed, failed: firstFailure };
+  }
+
+  /**
+   * Render a link to the commits that may have caused the current failure
+   * streak of a device, or "" if the firmware did not change
+   */
+  renderRegressionRange(deviceId) {
+    const regression = this.getRegression(deviceId);
+    if (!regression) return "";
+
+    const range = Utils.formatRevisionRange(
+      regression.passed.report.firmware_version,
+      regression.failed.report.firmware_version,
+    );
+    return range
+      ? `<small class="ms-2" title="Firmware of the last passing and the first failing run">Regressed in ${range}</small>`
+      : "";
+  }
+
+  /**
+   * Render a compact pass/fail/skip timeline for a device row
+   */
+  renderSparkline(deviceId) {
+    const runs = this.getRuns(deviceId);
+    if (runs.length < 2) return "";
+
+    const bars = runs
+      .map((run) => {
+        const timestamp = Utils.formatTimestamp(this.getRunTimestamp(run));
+        if (!run.report) {
+          return `<span class="history-run nodata" title="${timestamp}: No Data"></span>`;
+        }
+
+        const report = run.report;
+        const failed = report.failures + report.errors;
+        const total = report.passed + report.skipped + failed || 1;
+        const title = `${timestamp}: ${report.passed} passed, ${failed} failed, ${report.skipped} skipped`;
+
+        return `
+                <span class="history-run" title="${Utils.escapeHtml(title)}">
+                    <span class="history-segment failed" style="height: ${(failed / total) * 100}%"></span>
+                    <span class="history-segment skipped" style="height: ${(report.skipped / total) * 100}%"></span>
+                    <span class="history-segment passed" style="height: ${(report.passed / total) * 100}%"></span>
+                </span>
+            `;
+      })
+      .join("");
+
+    const firstFailure = this.getFirstFailure(deviceId);
+    const failingSince = firstFailure
+      ? `<small class="text-danger ms-2">Failing since ${Utils.formatTimestamp(this.getRunTimestamp(firstFailure))}</small>`
+      : "";
+
+    return `
+            <div class="d-flex align-items-end mt-1">
+                <span class="history-sparkline">${bars}</span>
+                ${failingSince}
+                ${this.renderRegressionRange(deviceId)}
+            </div>
+        `;
+  }
+
+  /**
+   * Render the full history table for the device modal
+   */
+  renderHistoryTable(deviceId) {
+    const runs = this.getRuns(deviceId);
+    if (runs.length === 0) {
+      return '<p class="text-muted">No run history available</p>';
+    }
+
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === deviceId,
+    );
+    const firstFailure = this.getFirstFailure(deviceId);
+    const rows = runs
+      .map((run, index) => {
+        const status = this.getRunStatus(run);
+        const report = run.report;
+        const previous = runs
+          .slice(0, index)
+          .reverse()
+          .find((r) => r.report);
+        const range =
+          report && previous
+            ? Utils.formatRevisionRange(
+                previous.report.firmware_version,
+                report.firmware_version,
+              )
+            : "";
+        const badge =
+          status === "passed"
+            ? '<span class="badge bg-success">passed</span>'
+            : status === "failed"
+              ? '<span class="badge bg-danger">failed</span>'
+              : '<span class="badge bg-secondary">no data</span>';
+        const marker =
+          run === firstFailure
+            ? '<span class="badge bg-warning text-dark ms-1">first failure</span>'
+            : "";
+
+        return `
+                <tr>
+                    <td>${Utils.formatTimestamp(this.getRunTimestamp(run))}</td>
+                    <td>${badge}${marker}</td>
+                    <td>${report ? report.passed : "-"}</td>
+                    <td>${report ? report.failures + report.errors : "-"}</td>
+                    <td>${report ? report.skipped : "-"}</td>
+                    <td>${report ? Utils.formatDuration(report.time) : "-"}</td>
+                    <td>
+                        ${report ? Utils.formatFirmwareVersion(report.firmware_version, device) : "-"}
+                        ${range ? `<br>${range}` : ""}
+                    </td>
+                </tr>
+            `;
+      })
+      .reverse()
+      .join("");
+
+    return `
+            <div class="table-responsive">
+                <table class="table table-sm test-results-table">
+                    <thead>
+                        <tr>
+                            <th>Run</th>
+                            <th>Status</th>
+                            <th>Passed</th>
+                            <th>Failed</th>
+                            <th>Skipped</th>
+                            <th>Duration</th>
+                            <th>Firmware</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HistoryManager;
+}
@@ -0,0 +1,290 @@
+// Validation of devices.json and versions.json for OpenWrt Test Dashboard
+
+const Inventory = {
+  // Fields of a devices.json entry; missing required fields are reported
+  DEVICE_FIELDS: {
+    device: { required: true },
+    name: { required: false },
+    target: { required: true },
+    proxy: { required: true },
+    firmware: { required: true },
+    version_name: { required: false },
+  },
+
+  // Fields of a versions.json entry
+  VERSION_FIELDS: {
+    name: { required: true },
+    path: { required: true },
+    title: { required: true },
+    description: { required: false },
+  },
+
+  /**
+   * Create an issue found in an inventory file
+   *
+   * `level` is "error" for entries that are dropped or unusable and
+   * "warning" for entries that are used as well as possible.
+   */
+  issue(level, file, entry, message) {
+    return { level, file, entry, message };
+  },
+
+  /**
+   * Normalize the keys of an entry and check its fields
+   *
+   * Keys with stray whitespace or a trailing colon, as in the legacy
+   * `"name:"`, are renamed to the known field they stand for.
+   */
+  normalizeEntry(raw, fields, file, label, issues) {
+    const entry = {};
+
+    Object.entries(raw).forEach(([key, value]) => {
+      const clean = key.trim().replace(/:+$/, "").trim();
+      if (clean !== key && fields[clean]) {
+        issues.push(
+          Inventory.issue(
+            "warning",
+            file,
+            label,
+            `Key "${key}" should be "${clean}"`,
+          ),
+        );
+      } else if (!fields[key]) {
+        issues.push(
+          Inventory.issue("warning", file, label, `Unknown field "${key}"`),
+        );
+      }
+
+      const name = fields[clean] ? clean : key;
+      if (name in entry) return;
+      if (fields[name] && typeof value !== "string") {
+        issues.push(
+          Inventory.issue(
+            "warning",
+            file,
+            label,
+            `Field "${name}" should be a string`,
+          ),
+        );
+        entry[name] =
+          value === null || value === undefined ? "" : String(value);
+        return;
+      }
+      entry[name] = typeof value === "string" ? value.trim() : value;
+    });
+
+    Object.entries(fields).forEach(([name, field]) => {
+      if (field.required && !entry[name]) {
+        issues.push(
+          Inventory.issue(
+            name === "device" ? "error" : "warning",
+            file,
+            label,
+            `Missing field "${name}"`,
+          ),
+        );
+      }
+    });
+
+    return entry;
+  },
+
+  /**
+   * Validate and normalize the entries of devices.json
+   *
+   * Entries without a device ID, with an ID that is not safe in result
+   * paths and inline handlers, and duplicates of an earlier ID are
+   * dropped. `version_name`, which is part of the results directory,
+   * defaults to the version of the page. Returns `{ devices, issues }`.
+   */
+  validateDevices(data, version = "") {
+    const file = "devices.json";
+    const issues = [];
+    if (!Array.isArray(data)) {
+      issues.push(
+        Inventory.issue("error", file, null, "Expected a list of devices"),
+      );
+      return { devices: [], issues };
+    }
+
+    const seen = new Set();
+    const devices = [];
+    data.forEach((raw, index) => {
+      const label =
+        raw && typeof raw.device === "string" && raw.device
+          ? raw.device
+          : `entry ${index + 1}`;
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        issues.push(
+          Inventory.issue("error", file, label, "Entry is not an object"),
+        );
+        return;
+      }
+
+      const device = Inventory.normalizeEntry(
+        raw,
+        Inventory.DEVICE_FIELDS,
+        file,
+        label,
+        issues,
+      );
+      if (!device.device) return;
+
+      // The ID is part of result paths and of inline event handlers
+      if (!/^[\w.,+-]+$/.test(device.device)) {
+        issues.push(
+          Inventory.issue(
+            "error",
+            file,
+            label,
+            "Device ID may only contain letters, digits and . , + - _",
+          ),
+        );
+        return;
+      }
+
+      if (seen.has(device.device)) {
+        issues.push(
+          Inventory.issue(
+            "error",
+            file,
+            label,
+            "Duplicate device ID, only the first entry is used",
+          ),
+        );
+        return;
+      }
+      seen.add(device.device);
+
+      if (!device.version_name && version) device.version_name = version;
+
+      devices.push(device);
+    });
+
+    return { devices, issues };
+  },
+
+  /**
+   * Get the results directory of the latest run of a validated device
+   */
+  getResultsPath(device) {
+    return `results-${device.device}-${device.version_name}`;
+  },
+
+  /**
+   * Validate and normalize versions.json
+   *
+   * Returns `{ versions, issues }`; entries without a name and duplicates
+   * are dropped.
+   */
+  validateVersions(data) {
+    const file = "versions.json";
+    const issues = [];
+    const list = data && data.versions;
+    if (!Array.isArray(list)) {
+      issues.push(
+        Inventory.issue("error", file, null, 'Expected a "versions" list'),
+      );
+      return { versions: [], issues };
+    }
+
+    const seen = new Set();
+    const versions = [];
+    list.forEach((raw, index) => {
+      const label =
+        raw && typeof raw.name === "string" && raw.name
+          ? raw.name
+          : `entry ${index + 1}`;
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        issues.push(
+          Inventory.issue("error", file, label, "Entry is not an object"),
+        );
+        return;
+      }
+
+      const version = Inventory.normalizeEntry(
+        raw,
+        Inventory.VERSION_FIELDS,
+        file,
+        label,
+        issues,
+      );
+      if (!version.name) return;
+
+      if (seen.has(version.name)) {
+        issues.push(
+          Inventory.issue(
+            "error",
+            file,
+            label,
+            "Duplicate version name, only the first entry is used",
+          ),
+        );
+        return;
+      }
+      seen.add(version.name);
+
+      if (version.path && /^(?:[a-z]+:)?\/\//i.test(version.path)) {
+        issues.push(
+          Inventory.issue(
+            "warning",
+            file,
+            label,
+            "Path should be relative to the dashboard",
+          ),
+        );
+      }
+      if (!version.path) version.path = `${version.name}/`;
+      if (!version.title) version.title = version.name;
+      if (!version.description) version.description = "";
+
+      versions.push(version);
+    });
+
+    return { versions, issues };
+  },
+
+  /**
+   * Render a collapsible panel listing data issues, or "" if there are none
+   */
+  renderIssues(issues) {
+    if (!issues || issues.length === 0) return "";
+
+    const errors = issues.filter((issue) => issue.level === "error").length;
+    const warnings = issues.length - errors;
+    const counts = [];
+    if (errors > 0) counts.push(`${errors} error${errors === 1 ? "" : "s"}`);
+    if (warnings > 0) {
+      counts.push(`${warnings} warning${warnings === 1 ? "" : "s"}`);
+    }
+    const files = [...new Set(issues.map((issue) => issue.file))];
+
+    const items = issues
+      .map(
+        (issue) => `
+                <li>
+                    <i class="bi ${issue.level === "error" ? "bi-x-circle text-danger" : "bi-exclamation-triangle text-warning"} me-1"></i>
+                    <code>${Utils.escapeHtml(issue.file)}</code>
+                    ${issue.entry ? `<strong>${Utils.escapeHtml(issue.entry)}</strong>:` : ""}
+                    ${Utils.escapeHtml(issue.message)}
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            <details class="alert ${errors > 0 ? "alert-danger" : "alert-warning"} data-issues small">
+                <summary>
+                    <i class="bi bi-clipboard-x me-1"></i>
+                    <strong>Data issues</strong> in ${files.map((f) => Utils.escapeHtml(f)).join(" and ")}: ${counts.join(", ")}
+                </summary>
+                <ul class="list-unstyled mb-0 mt-2">${items}</ul>
+            </details>
+        `;
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Inventory;
+}
@@ -0,0 +1,245 @@
+// Prefilled bug reports for OpenWrt Test Dashboard
+
+class IssueReporter {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.issue = null;
+  }
+
+  /**
+   * Find a failing testcase of a device by its index in the report
+   */
+  getTest(device, testIndex) {
+    if (!device || !device.report) return null;
+    return device.report.testcases[testIndex] || null;
+  }
+
+  /**
+   * Fetch the console log of a device, or null if it is not available
+   */
+  async fetchLog(device) {
+    try {
+      const response = await this.deviceManager.fetchResource(
+        this.deviceManager.getBootLogPath(device),
+      );
+      if (!response.ok) return null;
+      return await response.text();
+    } catch (error) {
+      console.warn(`Error loading console log for ${device.device}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the part of the console log relevant to a failure
+   *
+   * Uses the lines around the last kernel panic, oops, procd or U-Boot
+   * error if there is one and the tail of the log otherwise.
+   */
+  getLogExcerpt(logText, lineCount = CONFIG.ISSUE_LOG_LINES) {
+    if (!logText) return null;
+
+    const lines = Utils.stripAnsi(logText)
+      .replace(/\r\n?/g, "\n")
+      .replace(/\n+$/, "")
+      .split("\n");
+    const markers = LogViewer.findMarkers(lines);
+
+    let start = Math.max(0, lines.length - lineCount);
+    if (markers.length > 0) {
+      const line = markers[markers.length - 1].line;
+      start = Math.max(0, line - Math.floor(lineCount / 2));
+    }
+    const end = Math.min(lines.length, start + lineCount);
+
+    return {
+      text: lines.slice(start, end).join("\n"),
+      start: start + 1,
+      end,
+      total: lines.length,
+      marker: markers.length > 0 ? markers[markers.length - 1].label : null,
+    };
+  }
+
+  /**
+   * Build the issue title for a failing test
+   */
+  buildTitle(device, test) {
+    const manager = this.deviceManager;
+    const version = manager.version ? ` (${manager.version})` : "";
+    return `${manager.getDisplayName(device)}: ${test.name} ${test.status}${version}`;
+  }
+
+  /**
+   * Build the Markdown body of an issue for a failing test
+   */
+  buildBody(device, test, excerpt) {
+    const manager = this.deviceManager;
+    const report = device.report;
+    const logUrl = manager.getResourceUrl(manager.getBootLogPath(device));
+    const dashboardUrl = manager.getDeviceUrl(device.device, "tests");
+    const fence = (text) => {
+      // Use a fence longer than any backtick run in the text
+      const runs = text.match(/`{3,}/g) || [];
+      const length = Math.max(3, ...runs.map((run) => run.length + 1));
+      return "`".repeat(length);
+    };
+    const block = (text) => `${fence(text)}\n${text}\n${fence(text)}`;
+
+    const lines = [
+      "### Device",
+      "",
+      `- Device: ${manager.getDisplayName(device)} (\`${device.device}\`)`,
+      `- Target: ${device.target || "Unknown"}`,
+      `- Firmware version: ${report.firmware_version || "Unknown"}`,
+      `- Firmware image: ${device.firmware || "Unknown"}`,
+      `- Version: ${manager.version || "Unknown"}`,
+      `- Test run: ${report.timestamp || "Unknown"}`,
+      "",
+      "### Failing test",
+      "",
+      `- Test: \`${test.classname}.${test.name}\``,
+      `- Status: ${test.status}`,
+      `- Duration: ${Utils.formatDuration(test.time)}`,
+    ];
+
+    const firstFailure = manager.history.getTestFirstFailure(
+      device.device,
+      test.classname,
+      test.name,
+    );
+    if (firstFailure) {
+      lines.push(
+        `- Failing since: ${manager.history.getRunTimestamp(firstFailure) || "Unknown"}`,
+      );
+    }
+
+    if (test.message) {
+      lines.push("", "#### Message", "", block(Utils.stripAnsi(test.message)));
+    }
+    if (test.details && test.details !== test.message) {
+      lines.push("", "#### Details", "", block(Utils.stripAnsi(test.details)));
+    }
+
+    if (excerpt) {
+      const where = excerpt.marker
+        ? `around the ${excerpt.marker}`
+        : "end of the log";
+      lines.push(
+        "",
+        "### Console log",
+        "",
+        `Lines ${excerpt.start}-${excerpt.end} of ${excerpt.total}, ${where}:`,
+        "",
+        block(excerpt.text),
+      );
+    }
+
+    lines.push("", "### Links", "", `- Test results: ${dashboardUrl}`);
+    if (logUrl) lines.push(`- Full console log: ${logUrl}`);
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Build a GitHub new-issue URL prefilled with title and body
+   *
+   * Bodies too long for a URL are cut, with a note to paste the full
+   * report from the clipboard.
+   */
+  getIssueUrl(title, body) {
+    const build = (text) =>
+      `${CONFIG.ISSUE_URL}?title=${encodeURIComponent(title)}&body=${encodeURIComponent(text)}`;
+
+    let url = build(body);
+    if (url.length <= CONFIG.ISSUE_URL_MAX_LENGTH) return url;
+
+    const note =
+      "\n\n_Report truncated, paste the full report from the dashboard._";
+    let length = body.length;
+    while (length > 0 && url.length > CONFIG.ISSUE_URL_MAX_LENGTH) {
+      length = Math.floor(length * 0.9);
+      url = build(body.substring(0, length) + note);
+    }
+    return url;
+  }
+
+  /**
+   * Show the prefilled issue for a failing test of a device
+   */
+  async show(deviceId, testIndex) {
+    const manager = this.deviceManager;
+    const device = manager.devicesData.find((d) => d.device === deviceId);
+    const test = this.getTest(device, testIndex);
+    if (!test) return;
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `Report Issue - ${manager.getDisplayName(device)}`;
+    Utils.showLoading("modal-content", "Collecting report...");
+    const loading = document.getElementById("modal-content").firstElementChild;
+    modal.show();
+
+    const excerpt = this.getLogExcerpt(await this.fetchLog(device));
+    // Another view replaced the modal content while the log was loading
+    if (!loading.isConnected) return;
+    const title = this.buildTitle(device, test);
+    const body = this.buildBody(device, test, excerpt);
+    const url = this.getIssueUrl(title, body);
+    this.issue = { title, body };
+
+    const truncated = !url.endsWith(encodeURIComponent(body));
+    document.getElementById("modal-content").innerHTML = `
+            <div class="d-flex gap-2 mb-3">
+                <button class="btn btn-sm btn-outline-secondary" onclick="deviceManager.showTestDetails('${device.device}')">
+                    <i class="bi bi-arrow-left"></i> Back to Tests
+                </button>
+                <button class="btn btn-sm btn-outline-secondary" id="issue-copy-btn" onclick="deviceManager.issues.copy()">
+                    <i class="bi bi-clipboard"></i> Copy Report
+                </button>
+                <a class="btn btn-sm btn-primary" href="${Utils.escapeHtml(url)}" target="_blank" rel="noopener">
+                    <i class="bi bi-github"></i> Open GitHub Issue
+                </a>
+            </div>
+            ${
+              truncated
+                ? `<div class="alert alert-warning small py-2">
+                    The report is too long for a link and will be cut. Copy it and paste it into the issue instead.
+                </div>`
+                : ""
+            }
+            <div class="mb-2">
+                <label class="form-label small text-muted" for="issue-title">Title</label>
+                <input type="text" class="form-control form-control-sm" id="issue-title" readonly>
+            </div>
+            <label class="form-label small text-muted" for="issue-body">Body</label>
+            <textarea id="issue-body" class="form-control font-monospace small" rows="20" readonly></textarea>
+        `;
+    document.getElementById("issue-title").value = title;
+    document.getElementById("issue-body").value = body;
+  }
+
+  /**
+   * Copy the current report to the clipboard
+   */
+  async copy() {
+    if (!this.issue) return;
+
+    const success = await Utils.copyToClipboard(this.issue.body);
+    if (success) {
+      const button = document.getElementById("issue-copy-btn");
+      const original = button.innerHTML;
+      button.innerHTML = '<i class="bi bi-check"></i> Copied';
+      setTimeout(() => {
+        button.innerHTML = original;
+      }, 2000);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = IssueReporter;
+}
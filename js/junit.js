@@ -0,0 +1,225 @@
+// JUnit/xUnit XML report parser for OpenWrt Test Dashboard
+
+const JUnit = {
+  /**
+   * Parse a JUnit XML report into a report object
+   *
+   * Supports a <testsuites> or <testsuite> root with any number of suites.
+   * Totals are counted from the testcases; the aggregate attributes are
+   * only used for suites without testcases. Returns null if the document
+   * is not a JUnit report.
+   */
+  parse(xmlText) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlText, "text/xml");
+    if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
+      return null;
+    }
+
+    const suiteElements = Array.from(xmlDoc.getElementsByTagName("testsuite"));
+    if (suiteElements.length === 0) {
+      return null;
+    }
+
+    const report = {
+      tests: 0,
+      failures: 0,
+      errors: 0,
+      skipped: 0,
+      time: 0,
+      timestamp: null,
+      properties: {},
+      suites: [],
+      testcases: [],
+    };
+
+    suiteElements.forEach((element) => {
+      // Suites that only group nested suites would count their tests twice
+      if (
+        JUnit.getChildren(element, "testsuite").length > 0 &&
+        JUnit.getChildren(element, "testcase").length === 0
+      ) {
+        return;
+      }
+
+      const suite = JUnit.parseSuite(element);
+      report.suites.push(suite);
+      report.testcases.push(...suite.testcases);
+
+      report.tests += suite.tests;
+      report.failures += suite.failures;
+      report.errors += suite.errors;
+      report.skipped += suite.skipped;
+      report.time += suite.time;
+
+      if (
+        suite.timestamp &&
+        (!report.timestamp ||
+          new Date(suite.timestamp) < new Date(report.timestamp))
+      ) {
+        report.timestamp = suite.timestamp;
+      }
+
+      // Earlier suites win when a property is set more than once
+      Object.entries(suite.properties).forEach(([name, value]) => {
+        if (!(name in report.properties)) report.properties[name] = value;
+      });
+    });
+
+    // A <testsuites> root may carry the total run time
+    const root = xmlDoc.documentElement;
+    if (root.tagName === "testsuites" && root.getAttribute("time")) {
+      report.time = parseFloat(root.getAttribute("time")) || report.time;
+    }
+
+    if (!report.properties.firmware_version) {
+      const testcase = report.testcases.find(
+        (tc) => tc.properties.firmware_version,
+      );
+      if (testcase) {
+        report.properties.firmware_version =
+          testcase.properties.firmware_version;
+      }
+    }
+    report.firmware_version = report.properties.firmware_version;
+
+    report.passed =
+      report.tests - report.failures - report.errors - report.skipped;
+
+    return report;
+  },
+
+  /**
+   * Parse a single <testsuite> element
+   */
+  parseSuite(element) {
+    const attribute = (name) => {
+      const value = element.getAttribute(name);
+      return value === null || value === "" ? null : value;
+    };
+
+    const testcases = JUnit.getChildren(element, "testcase").map((tc) =>
+      JUnit.parseTestcase(tc, attribute("name")),
+    );
+
+    const counted = {
+      tests: testcases.length,
+      failures: testcases.filter((tc) => tc.status === "failed").length,
+      errors: testcases.filter((tc) => tc.status === "error").length,
+      skipped: testcases.filter((tc) => tc.status === "skipped").length,
+    };
+    const declared = {
+      tests: parseInt(attribute("tests") || "0"),
+      failures: parseInt(attribute("failures") || "0"),
+      errors: parseInt(attribute("errors") || "0"),
+      skipped: parseInt(attribute("skipped") || attribute("skips") || "0"),
+    };
+
+    // Suites without testcases (e.g. collection errors) keep their attributes
+    const totals = testcases.length > 0 ? counted : declared;
+    // The declared counts, if they disagree with the testcases
+    const mismatch =
+      testcases.length > 0 &&
+      Object.keys(counted).some(
+        (key) => attribute(key) !== null && counted[key] !== declared[key],
+      )
+        ? declared
+        : null;
+
+    const suiteTime = attribute("time");
+    return {
+      name: attribute("name"),
+      hostname: attribute("hostname"),
+      timestamp: attribute("timestamp"),
+      ...totals,
+      time:
+        suiteTime !== null
+          ? parseFloat(suiteTime)
+          : testcases.reduce((sum, tc) => sum + tc.time, 0),
+      mismatch,
+      properties: JUnit.parseProperties(element),
+      system_out: JUnit.getChildText(element, "system-out"),
+      system_err: JUnit.getChildText(element, "system-err"),
+      testcases,
+    };
+  },
+
+  /**
+   * Parse a single <testcase> element
+   */
+  parseTestcase(element, suiteName) {
+    const tc = {
+      classname: element.getAttribute("classname") || suiteName || "",
+      name: element.getAttribute("name") || "",
+      time: parseFloat(element.getAttribute("time") || "0"),
+      file: element.getAttribute("file"),
+      line: element.getAttribute("line"),
+      suite: suiteName,
+      status: "passed",
+      properties: JUnit.parseProperties(element),
+      system_out: JUnit.getChildText(element, "system-out"),
+      system_err: JUnit.getChildText(element, "system-err"),
+    };
+
+    const outcomes = [
+      ["failure", "failed"],
+      ["error", "error"],
+      ["skipped", "skipped"],
+    ];
+    for (const [tagName, status] of outcomes) {
+      const outcome = JUnit.getChildren(element, tagName)[0];
+      if (!outcome) continue;
+
+      tc.status = status;
+      tc.message = outcome.getAttribute("message");
+      tc.type = outcome.getAttribute("type");
+      const text = outcome.textContent.trim();
+      if (text) tc.details = text;
+      break;
+    }
+
+    return tc;
+  },
+
+  /**
+   * Parse the <properties> directly below an element into an object
+   */
+  parseProperties(element) {
+    const properties = {};
+    JUnit.getChildren(element, "properties").forEach((container) => {
+      JUnit.getChildren(container, "property").forEach((property) => {
+        const name = property.getAttribute("name");
+        if (!name) return;
+        const value = property.hasAttribute("value")
+          ? property.getAttribute("value")
+          : property.textContent.trim();
+        properties[name] = value;
+      });
+    });
+    return properties;
+  },
+
+  /**
+   * Get the direct child elements of an element with a tag name
+   */
+  getChildren(element, tagName) {
+    return Array.from(element.childNodes).filter(
+      (child) => child.nodeType === 1 && child.tagName === tagName,
+    );
+  },
+
+  /**
+   * Get the trimmed text of the first direct child with a tag name
+   */
+  getChildText(element, tagName) {
+    const child = JUnit.getChildren(element, tagName)[0];
+    if (!child) return null;
+    const text = child.textContent.trim();
+    return text || null;
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JUnit;
+}
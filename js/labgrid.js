@@ -0,0 +1,356 @@
+// Labgrid environment helper for OpenWrt Test Dashboard
+
+class LabgridHelper {
+  // Output formats of the environment, with the file name used for exports
+  static FORMATS = {
+    sh: { label: "POSIX shell", file: (place) => `${place}.env` },
+    fish: { label: "fish", file: (place) => `${place}.fish` },
+    envrc: { label: "direnv (.envrc)", file: (place) => `${place}/.envrc` },
+    pytest: { label: "pytest command", file: (place) => `${place}-pytest.sh` },
+    labgrid: {
+      label: "labgrid-client",
+      file: (place) => `${place}-labgrid.sh`,
+    },
+  };
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.deviceId = null;
+    this.format = "sh";
+    // "name" (as in devices.json), "url" (download URL) or "custom"
+    this.imageSource = "name";
+    this.customImage = "";
+  }
+
+  /**
+   * Get the place name of a device
+   */
+  getPlace(device) {
+    return `${device.proxy}-${device.device}`;
+  }
+
+  /**
+   * Build the download URL of the firmware image tested on a device
+   *
+   * Returns null if the release of a non-snapshot version is unknown.
+   */
+  getFirmwareUrl(device) {
+    return Utils.getFirmwareUrl(device, this.deviceManager.version);
+  }
+
+  /**
+   * Get the image passed to labgrid for a device
+   */
+  getImage(device) {
+    if (this.imageSource === "custom" && this.customImage) {
+      return this.customImage;
+    }
+    if (this.imageSource === "url") {
+      return this.getFirmwareUrl(device) || device.firmware;
+    }
+    return device.firmware;
+  }
+
+  /**
+   * Get the labgrid environment variables of a device
+   *
+   * `image` defaults to the image selected in the modal.
+   */
+  getEnv(device, image = this.getImage(device)) {
+    return {
+      LG_IMAGE: image,
+      LG_PLACE: this.getPlace(device),
+      LG_PROXY: device.proxy,
+      LG_ENV: `targets/${device.device}.yaml`,
+    };
+  }
+
+  /**
+   * Quote a value for a POSIX or fish shell, leaving plain words as they are
+   */
+  quote(value) {
+    const text = String(value === undefined || value === null ? "" : value);
+    if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+    return `'${text.replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Render the environment of a device in one of the formats
+   *
+   * `image` defaults to the image selected in the modal.
+   */
+  render(device, format = this.format, image = this.getImage(device)) {
+    const env = this.getEnv(device, image);
+    const q = (value) => this.quote(value);
+    const exports = Object.keys(env).map(
+      (key) => `export ${key}=${q(env[key])}`,
+    );
+
+    switch (format) {
+      case "fish":
+        return (
+          Object.keys(env)
+            .map((key) => `set -gx ${key} ${q(env[key])}`)
+            .join("\n") + "\n"
+        );
+      case "envrc":
+        return [
+          `# direnv environment for ${env.LG_PLACE}, enable with: direnv allow`,
+          ...exports,
+          "",
+        ].join("\n");
+      case "pytest":
+        return [
+          "#!/bin/sh",
+          `# Run the tests on ${env.LG_PLACE}`,
+          `LG_IMAGE=${q(env.LG_IMAGE)} LG_PLACE=${q(env.LG_PLACE)} LG_PROXY=${q(env.LG_PROXY)} \\`,
+          `    pytest tests/ --lg-env ${q(env.LG_ENV)} --lg-log -v "$@"`,
+          "",
+        ].join("\n");
+      case "labgrid":
+        return [
+          "#!/bin/sh",
+          `# Take over ${env.LG_PLACE} for manual debugging`,
+          `export LG_PROXY=${q(env.LG_PROXY)}`,
+          `export LG_PLACE=${q(env.LG_PLACE)}`,
+          "",
+          "# Labs using reservations need a token first:",
+          '# eval "$(labgrid-client reserve --wait --shell <tags>)" && labgrid-client lock',
+          "labgrid-client lock",
+          "labgrid-client power cycle",
+          "labgrid-client console",
+          "labgrid-client unlock",
+          "",
+        ].join("\n");
+      default:
+        return exports.join("\n") + "\n";
+    }
+  }
+
+  /**
+   * Render one script that sets up the environment of any given device
+   *
+   * Run it with a device and a command to run the command in the device's
+   * environment, or only a device to print the exports for `eval`.
+   */
+  renderScript(devices) {
+    const cases = devices
+      .map((device) => {
+        const env = this.getEnv(device);
+        const exports = Object.keys(env)
+          .map((key) => `        export ${key}=${this.quote(env[key])}`)
+          .join("\n");
+        return `    ${this.quote(device.device)})\n${exports}\n        ;;`;
+      })
+      .join("\n");
+    const names = devices.map((device) => device.device).join(" ");
+
+    return [
+      "#!/bin/sh",
+      `# Labgrid environments for ${devices.length} devices (${this.deviceManager.version || "results"})`,
+      "#",
+      "# Usage: $0 <device> [command...]",
+      "#   Without a command the exports are printed, e.g. for eval.",
+      "",
+      'case "$1" in',
+      cases,
+      "    *)",
+      `        echo "Usage: $0 <device> [command...]" >&2`,
+      `        echo ${this.quote(`Devices: ${names}`)} >&2`,
+      "        exit 1",
+      "        ;;",
+      "esac",
+      "shift",
+      "",
+      "if [ $# -gt 0 ]; then",
+      '    exec "$@"',
+      "fi",
+      "",
+      "for var in LG_IMAGE LG_PLACE LG_PROXY LG_ENV; do",
+      '    eval "value=\\$$var"',
+      `    escaped=$(printf '%s' "$value" | sed "s/'/'\\\\\\\\''/g")`,
+      `    printf "export %s='%s'\\n" "$var" "$escaped"`,
+      "done",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Build the file name of an export
+   */
+  getFilename(suffix) {
+    return `openwrt-tests-${this.deviceManager.version || "results"}-${suffix}`;
+  }
+
+  /**
+   * Download the environment of a device in the selected format
+   */
+  download(deviceId = this.deviceId) {
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === deviceId,
+    );
+    if (!device) return;
+
+    const place = this.getPlace(device);
+    const file = LabgridHelper.FORMATS[this.format].file(place);
+    // Browsers drop directories from download names
+    Utils.downloadFile(this.render(device), file.replace("/", "-"));
+  }
+
+  /**
+   * Download the environments of all filtered devices as a zip archive
+   */
+  downloadZip() {
+    const devices = this.deviceManager.filteredDevices;
+    if (devices.length === 0) return;
+
+    const format = LabgridHelper.FORMATS[this.format];
+    const files = devices.map((device) => ({
+      name: format.file(this.getPlace(device)),
+      content: this.render(device),
+    }));
+    Utils.downloadFile(
+      Utils.createZip(files),
+      this.getFilename(`labgrid-${this.format}.zip`),
+    );
+  }
+
+  /**
+   * Download one script for all filtered devices
+   */
+  downloadScript() {
+    const devices = this.deviceManager.filteredDevices;
+    if (devices.length === 0) return;
+
+    Utils.downloadFile(
+      this.renderScript(devices),
+      this.getFilename("labgrid.sh"),
+      "text/x-shellscript;charset=utf-8",
+    );
+  }
+
+  /**
+   * Apply the options of the modal and update the preview
+   */
+  update() {
+    const format = document.getElementById("labgrid-format");
+    const source = document.getElementById("labgrid-image-source");
+    const custom = document.getElementById("labgrid-custom-image");
+    if (!format || !source || !custom) return;
+
+    this.format = format.value;
+    this.imageSource = source.value;
+    this.customImage = custom.value.trim();
+    custom.classList.toggle("d-none", this.imageSource !== "custom");
+
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === this.deviceId,
+    );
+    if (device) {
+      document.getElementById("labgrid-output").value = this.render(device);
+    }
+  }
+
+  /**
+   * Copy the environment shown in the modal to the clipboard
+   */
+  async copy() {
+    const output = document.getElementById("labgrid-output");
+    if (!output) return;
+
+    const success = await Utils.copyToClipboard(output.value);
+    if (success) {
+      const button = document.getElementById("labgrid-copy-btn");
+      const original = button.innerHTML;
+      button.innerHTML = '<i class="bi bi-check"></i> Copied';
+      setTimeout(() => {
+        button.innerHTML = original;
+      }, 2000);
+    }
+  }
+
+  /**
+   * Show the labgrid environment of a device in a modal
+   */
+  show(deviceId) {
+    const manager = this.deviceManager;
+    const device = manager.devicesData.find((d) => d.device === deviceId);
+    if (!device) return;
+    this.deviceId = deviceId;
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `Labgrid Environment - ${manager.getDisplayName(device)}`;
+
+    const firmwareUrl = this.getFirmwareUrl(device);
+    const formats = Object.entries(LabgridHelper.FORMATS)
+      .map(
+        ([value, format]) =>
+          `<option value="${value}" ${value === this.format ? "selected" : ""}>${format.label}</option>`,
+      )
+      .join("");
+    const sources = [
+      ["name", `Image name (${device.firmware || "unknown"})`, true],
+      [
+        "url",
+        `Firmware URL for ${manager.version || "this version"}`,
+        !!firmwareUrl,
+      ],
+      ["custom", "Custom image", true],
+    ]
+      .map(
+        ([value, label, enabled]) =>
+          `<option value="${value}" ${value === this.imageSource ? "selected" : ""} ${enabled ? "" : "disabled"}>${Utils.escapeHtml(label)}</option>`,
+      )
+      .join("");
+    const count = manager.filteredDevices.length;
+
+    document.getElementById("modal-content").innerHTML = `
+            <div class="row g-2 mb-3">
+                <div class="col-md-4">
+                    <label class="form-label small text-muted" for="labgrid-format">Format</label>
+                    <select id="labgrid-format" class="form-select form-select-sm" onchange="deviceManager.labgrid.update()">
+                        ${formats}
+                    </select>
+                </div>
+                <div class="col-md-8">
+                    <label class="form-label small text-muted" for="labgrid-image-source">Image</label>
+                    <select id="labgrid-image-source" class="form-select form-select-sm" onchange="deviceManager.labgrid.update()">
+                        ${sources}
+                    </select>
+                    <input type="text" id="labgrid-custom-image" class="form-control form-control-sm mt-2 ${this.imageSource === "custom" ? "" : "d-none"}"
+                           placeholder="Path or URL of the image" value="${Utils.escapeHtml(this.customImage)}"
+                           oninput="deviceManager.labgrid.update()">
+                </div>
+            </div>
+            <textarea id="labgrid-output" class="form-control font-monospace small mb-3" rows="10" readonly></textarea>
+            <div class="d-flex flex-wrap gap-2 justify-content-between">
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-secondary" id="labgrid-copy-btn" onclick="deviceManager.labgrid.copy()">
+                        <i class="bi bi-clipboard"></i> Copy
+                    </button>
+                    <button class="btn btn-outline-success" onclick="deviceManager.labgrid.download()">
+                        <i class="bi bi-download"></i> Download
+                    </button>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-primary" onclick="deviceManager.labgrid.downloadZip()" ${count ? "" : "disabled"}>
+                        <i class="bi bi-file-earmark-zip"></i> All ${count} filtered (zip)
+                    </button>
+                    <button class="btn btn-outline-primary" onclick="deviceManager.labgrid.downloadScript()" ${count ? "" : "disabled"}>
+                        <i class="bi bi-file-earmark-code"></i> All ${count} filtered (script)
+                    </button>
+                </div>
+            </div>
+        `;
+    this.update();
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LabgridHelper;
+}
@@ -0,0 +1,362 @@
+// Lab and proxy health overview for OpenWrt Test Dashboard
+
+class LabOverview {
+  // Labels and badge classes of lab and device statuses
+  static STATUSES = {
+    online: { label: "Online", badge: "bg-success" },
+    offline: { label: "Offline", badge: "bg-danger" },
+    overdue: { label: "Overdue", badge: "bg-warning text-dark" },
+    maintenance: { label: "Maintenance", badge: "bg-info text-dark" },
+    unknown: { label: "Unknown", badge: "bg-secondary" },
+  };
+
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.status = {};
+  }
+
+  /**
+   * Load the optional status file reported by the labs
+   *
+   * The file lives next to devices.json and maps a proxy to its state:
+   * `{ "<proxy>": { "status": "online|offline|maintenance", "message":
+   * "...", "updated": "<timestamp>", "devices": { "<device>": "online|offline" } } }`.
+   * Labs and devices without an entry get a status derived from the
+   * timestamps of their reports.
+   */
+  async loadStatus(options = {}) {
+    try {
+      const response = await this.deviceManager.fetchQueued(
+        CONFIG.LAB_STATUS_FILE,
+        options,
+      );
+      if (!response.ok) {
+        this.status = {};
+        return this.status;
+      }
+      const data = await response.json();
+      this.status = (data && (data.labs || data)) || {};
+    } catch (error) {
+      if (FetchQueue.isAbort(error)) throw error;
+      console.warn("Error loading lab status:", error);
+      this.status = {};
+    }
+    return this.status;
+  }
+
+  /**
+   * Get the names of all labs, in the order of devices.json
+   */
+  getProxies() {
+    return [
+      ...new Set(
+        this.deviceManager.devicesData.map((d) => d.proxy || "Unknown"),
+      ),
+    ];
+  }
+
+  /**
+   * Get the entry of a lab in the status file, or an empty one
+   */
+  getLabEntry(proxy) {
+    const entry = this.status[proxy];
+    if (typeof entry === "string") return { status: entry };
+    return entry || {};
+  }
+
+  /**
+   * Get the age of the latest report of a device in milliseconds, or null
+   */
+  getReportAge(device) {
+    const time = device.report && Date.parse(device.report.timestamp);
+    return time ? Date.now() - time : null;
+  }
+
+  /**
+   * Check whether the latest report of a device is older than the
+   * configured maximum age
+   *
+   * Only the age counts here. Results from another firmware than the rest
+   * of the fleet are "stale" in the device list, but say nothing about the
+   * health of a lab.
+   */
+  isOverdue(device) {
+    return this.deviceManager.freshness.isOld(device);
+  }
+
+  /**
+   * Check whether a device failed to boot in its latest run
+   *
+   * That is the case if a boot or shell test failed, or if every test that
+   * ran failed, which is what happens when labgrid cannot bring the
+   * device up.
+   */
+  isBootFailure(device) {
+    const report = device.report;
+    if (!report) return false;
+
+    const failing = report.testcases.filter(
+      (tc) => tc.status === "failed" || tc.status === "error",
+    );
+    if (failing.length === 0) return false;
+    if (failing.some((tc) => CONFIG.BOOT_TEST_PATTERN.test(tc.name))) {
+      return true;
+    }
+    return report.passed === 0;
+  }
+
+  /**
+   * Get the status of a device: "online", "offline", "overdue",
+   * "maintenance" or "unknown"
+   */
+  getDeviceStatus(device) {
+    const lab = this.getLabEntry(device.proxy);
+    const reported = lab.devices && lab.devices[device.device];
+    if (LabOverview.STATUSES[reported]) return reported;
+    if (lab.status === "offline" || lab.status === "maintenance") {
+      return lab.status;
+    }
+
+    if (!device.report) return "unknown";
+    return this.isOverdue(device) ? "overdue" : "online";
+  }
+
+  /**
+   * Store the status of every device in `device.status`
+   */
+  updateDeviceStatus() {
+    this.deviceManager.devicesData.forEach((device) => {
+      device.status = this.getDeviceStatus(device);
+    });
+  }
+
+  /**
+   * Summarize the devices of a lab and derive its status
+   *
+   * A status from the status file wins. Otherwise a lab is "overdue" when
+   * none of its devices reported recently and "offline" when all devices
+   * that did failed to boot, e.g. because the proxy or a power switch is
+   * down.
+   */
+  getSummary(proxy) {
+    const manager = this.deviceManager;
+    const devices = manager.devicesData.filter(
+      (d) => (d.proxy || "Unknown") === proxy,
+    );
+    const summary = {
+      proxy,
+      devices,
+      noReport: devices.filter((d) => !d.report).length,
+      overdue: devices.filter((d) => this.isOverdue(d)).length,
+      failing: devices.filter((d) =>
+        ["failed", "error"].includes(manager.getDeviceStatus(d)),
+      ).length,
+      bootFailures: devices.filter((d) => this.isBootFailure(d)).length,
+      healthy: devices.filter(
+        (d) => manager.getDeviceStatus(d) === "pass" && !this.isOverdue(d),
+      ).length,
+      lastRun: null,
+    };
+
+    devices.forEach((device) => {
+      const time = device.report && Date.parse(device.report.timestamp);
+      if (time && (!summary.lastRun || time > summary.lastRun)) {
+        summary.lastRun = time;
+      }
+    });
+
+    const lab = this.getLabEntry(proxy);
+    const recent = devices.filter((d) => d.report && !this.isOverdue(d));
+    if (LabOverview.STATUSES[lab.status]) {
+      summary.status = lab.status;
+      summary.reason = lab.message || "Reported by the lab";
+    } else if (!summary.lastRun) {
+      summary.status = "unknown";
+      summary.reason = "No reports";
+    } else if (recent.length === 0) {
+      summary.status = "overdue";
+      summary.reason = `No report since ${Utils.formatTimestamp(summary.lastRun)}`;
+    } else if (
+      recent.length > 1 &&
+      recent.every((d) => this.isBootFailure(d))
+    ) {
+      summary.status = "offline";
+      summary.reason = "All recently tested devices failed to boot";
+    } else {
+      summary.status = "online";
+      summary.reason = `Last report ${Utils.formatTimestamp(summary.lastRun)}`;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Render a status badge
+   */
+  renderStatus(status, title = "") {
+    const entry = LabOverview.STATUSES[status] || LabOverview.STATUSES.unknown;
+    return `<span class="badge ${entry.badge}" title="${Utils.escapeHtml(title)}">${entry.label}</span>`;
+  }
+
+  /**
+   * Render the status dot shown next to the lab of a device row
+   */
+  renderDeviceDot(device) {
+    const status = this.getDeviceStatus(device);
+    const label = LabOverview.STATUSES[status].label;
+    const age = this.getReportAge(device);
+    const title =
+      age !== null
+        ? `${label}, last report ${Utils.formatTimestamp(device.report.timestamp)}`
+        : label;
+    return `<span class="lab-status-dot ${status}" title="${Utils.escapeHtml(title)}"></span>`;
+  }
+
+  /**
+   * Render one badge per lab above the device list
+   */
+  renderStrip() {
+    const container = document.getElementById("labs-container");
+    if (!container) return;
+
+    const proxies = this.getProxies();
+    if (proxies.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const labs = proxies
+      .map((proxy) => {
+        const summary = this.getSummary(proxy);
+        return `
+                <button class="btn btn-sm btn-light lab-chip lab-${summary.status}" onclick="deviceManager.labs.show()"
+                        title="${Utils.escapeHtml(summary.reason)}">
+                    <span class="lab-status-dot ${summary.status}"></span>
+                    ${Utils.escapeHtml(proxy)}
+                    <small class="text-muted" title="Devices passing with a recent report">${summary.healthy}/${summary.devices.length}</small>
+                </button>
+            `;
+      })
+      .join("");
+
+    container.innerHTML = `
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                <small class="text-muted"><i class="bi bi-hdd-network me-1"></i>Labs</small>
+                ${labs}
+            </div>
+        `;
+  }
+
+  /**
+   * Show only the devices of a lab in the device list
+   */
+  filter(proxy) {
+    const manager = this.deviceManager;
+    const select = document.getElementById("proxyFilter");
+    if (select) select.value = proxy;
+    manager.filterDevices(undefined, undefined, { proxy });
+    Utils.updateUrl({ proxy });
+
+    const modal = bootstrap.Modal.getInstance(
+      document.getElementById("deviceModal"),
+    );
+    if (modal) modal.hide();
+  }
+
+  /**
+   * Render a card per lab with its counts and devices
+   */
+  render() {
+    const manager = this.deviceManager;
+    const cards = this.getProxies()
+      .map((proxy) => this.getSummary(proxy))
+      .map((summary) => {
+        const lab = this.getLabEntry(summary.proxy);
+        const counts = [
+          ["Devices", summary.devices.length, ""],
+          ["No report", summary.noReport, "text-secondary"],
+          ["Overdue", summary.overdue, "text-warning"],
+          ["Failing", summary.failing, "text-danger"],
+          ["Boot failures", summary.bootFailures, "text-danger"],
+        ]
+          .map(
+            ([label, count, className]) => `
+                    <div class="col">
+                        <div class="fs-5 ${count > 0 ? className : "text-muted"}">${count}</div>
+                        <small class="text-muted">${label}</small>
+                    </div>
+                `,
+          )
+          .join("");
+
+        const devices = summary.devices
+          .map((device) => {
+            const status = manager.getDeviceStatus(device);
+            const notes = [];
+            if (this.isBootFailure(device)) notes.push("boot failure");
+            else if (status === "failed" || status === "error") {
+              notes.push("failing");
+            }
+            return `
+                    <li class="d-flex align-items-center">
+                        ${this.renderDeviceDot(device)}
+                        <a href="${Utils.escapeHtml(manager.getDeviceUrl(device.device))}" class="ms-2 text-truncate">${Utils.escapeHtml(manager.getDisplayName(device))}</a>
+                        ${notes.length > 0 ? `<span class="badge bg-danger-subtle text-danger-emphasis ms-2">${notes.join(", ")}</span>` : ""}
+                        <small class="text-muted ms-auto text-nowrap">${device.report ? Utils.formatTimestamp(device.report.timestamp) : "no report"}</small>
+                    </li>
+                `;
+          })
+          .join("");
+
+        return `
+                <div class="col-lg-6 mb-3">
+                    <div class="card h-100 lab-card lab-${summary.status}">
+                        <div class="card-header d-flex align-items-center">
+                            <i class="bi bi-hdd-network me-2"></i>
+                            <strong class="me-2">${Utils.escapeHtml(summary.proxy)}</strong>
+                            ${this.renderStatus(summary.status, summary.reason)}
+                            <button class="btn btn-link btn-sm ms-auto p-0" data-proxy="${Utils.escapeHtml(summary.proxy)}"
+                                    onclick="deviceManager.labs.filter(this.dataset.proxy)">
+                                Show devices
+                            </button>
+                        </div>
+                        <div class="card-body">
+                            <p class="small text-muted mb-2">
+                                ${Utils.escapeHtml(summary.reason)}
+                                ${lab.updated ? `<br>Status updated ${Utils.formatTimestamp(lab.updated)}` : ""}
+                            </p>
+                            <div class="row text-center mb-3">${counts}</div>
+                            <ul class="list-unstyled small mb-0 lab-devices">${devices}</ul>
+                        </div>
+                    </div>
+                </div>
+            `;
+      })
+      .join("");
+
+    if (!cards) return '<p class="text-muted">No devices</p>';
+    return `
+            <p class="small text-muted">
+                Reports older than ${Math.round(this.deviceManager.freshness.maxAge / 3600000)} hours count as overdue.
+            </p>
+            <div class="row">${cards}</div>
+        `;
+  }
+
+  /**
+   * Show the lab overview in the modal
+   */
+  show() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Labs";
+    document.getElementById("modal-content").innerHTML = this.render();
+    modal.show();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LabOverview;
+}
@@ -0,0 +1,542 @@
+// Side-by-side boot log diff for OpenWrt Test Dashboard
+
+class LogDiff {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.versions = null;
+    this.showUnchanged = false;
+  }
+
+  /**
+   * Normalize a log line so that run-specific values do not show as changes
+   */
+  normalizeLine(line) {
+    return line
+      .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "")
+      .replace(/\r/g, "")
+      .replace(/\[\s*\d+\.\d+\]/g, "[TIME]")
+      .replace(
+        /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        "UUID",
+      )
+      .replace(/\b(?:[0-9a-f]{2}[:-]){5}[0-9a-f]{2}\b/gi, "MAC")
+      .replace(/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?/g, "DATE")
+      .replace(
+        /\b(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun) (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) +\d+ \d{2}:\d{2}:\d{2}(?: \d{4})?/g,
+        "DATE",
+      )
+      .replace(/\b0x[0-9a-f]+\b/gi, "0xADDR")
+      .replace(/\b[0-9a-f]{8,}\b/gi, "ID")
+      .replace(/\[\d+\]/g, "[PID]")
+      .trimEnd();
+  }
+
+  /**
+   * Compute a line diff with the Myers algorithm
+   *
+   * Returns a list of operations `{ type: "equal" | "delete" | "insert",
+   * left, right }` with line indices into `a` and `b`, or null if the logs
+   * differ in more than CONFIG.LOG_DIFF_MAX_EDITS lines.
+   */
+  diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    // Common prefix and suffix need no search
+    let prefix = 0;
+    while (prefix < n && prefix < m && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < n - prefix &&
+      suffix < m - prefix &&
+      a[n - 1 - suffix] === b[m - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const aMid = a.slice(prefix, n - suffix);
+    const bMid = b.slice(prefix, m - suffix);
+    const middle = this.myers(aMid, bMid);
+    if (!middle) return null;
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) {
+      ops.push({ type: "equal", left: i, right: i });
+    }
+    middle.forEach((op) => {
+      ops.push({
+        type: op.type,
+        left: op.left === null ? null : op.left + prefix,
+        right: op.right === null ? null : op.right + prefix,
+      });
+    });
+    for (let i = 0; i < suffix; i++) {
+      ops.push({
+        type: "equal",
+        left: n - suffix + i,
+        right: m - suffix + i,
+      });
+    }
+    return ops;
+  }
+
+  /**
+   * Myers shortest edit script between two arrays of lines
+   *
+   * Uses the linear space variant, which splits the problem at the middle
+   * snake of the edit graph instead of keeping every step for
+   * backtracking. Returns null if more than CONFIG.LOG_DIFF_MAX_EDITS edits
+   * are needed.
+   */
+  myers(a, b) {
+    const ops = [];
+    const found = this.diffRange(
+      a,
+      0,
+      a.length,
+      b,
+      0,
+      b.length,
+      ops,
+      CONFIG.LOG_DIFF_MAX_EDITS,
+    );
+    return found ? ops : null;
+  }
+
+  /**
+   * Append the edit script of `a[aStart..aEnd)` and `b[bStart..bEnd)` to
+   * `ops`; returns false if it needs more than `maxEdits` edits
+   */
+  diffRange(a, aStart, aEnd, b, bStart, bEnd, ops, maxEdits = Infinity) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      ops.push({ type: "equal", left: aStart, right: bStart });
+      aStart++;
+      bStart++;
+    }
+    let suffix = 0;
+    while (
+      aEnd - suffix > aStart &&
+      bEnd - suffix > bStart &&
+      a[aEnd - suffix - 1] === b[bEnd - suffix - 1]
+    ) {
+      suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    if (aStart === aEnd) {
+      for (let y = bStart; y < bEnd; y++) {
+        ops.push({ type: "insert", left: null, right: y });
+      }
+    } else if (bStart === bEnd) {
+      for (let x = aStart; x < aEnd; x++) {
+        ops.push({ type: "delete", left: x, right: null });
+      }
+    } else {
+      const snake = this.findMiddleSnake(
+        a,
+        aStart,
+        aEnd,
+        b,
+        bStart,
+        bEnd,
+        maxEdits,
+      );
+      if (!snake) return false;
+
+      // Both halves need fewer edits than the whole, so they are found
+      this.diffRange(a, aStart, snake.x, b, bStart, snake.y, ops);
+      for (let i = 0; i < snake.u - snake.x; i++) {
+        ops.push({ type: "equal", left: snake.x + i, right: snake.y + i });
+      }
+      this.diffRange(a, snake.u, aEnd, b, snake.v, bEnd, ops);
+    }
+
+    for (let i = 0; i < suffix; i++) {
+      ops.push({ type: "equal", left: aEnd + i, right: bEnd + i });
+    }
+    return true;
+  }
+
+  /**
+   * Find the middle snake of a shortest edit script
+   *
+   * Searches forward from the start and backward from the end until the
+   * paths overlap. Returns the snake from `(x, y)` to `(u, v)` in indices
+   * of `a` and `b`, or null if more than `maxEdits` edits are needed.
+   */
+  findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd, maxEdits) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const limit = Math.min(Math.ceil((n + m) / 2), Math.ceil(maxEdits / 2));
+    const offset = limit + 1;
+    // Furthest x reached on each diagonal k = x - y, counted from the start
+    // for the forward and from the end for the backward search
+    const forward = new Int32Array(2 * limit + 3);
+    const backward = new Int32Array(2 * limit + 3);
+
+    for (let d = 0; d <= limit; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d ||
+          (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+            ? forward[offset + k + 1]
+            : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+
+        const c = delta - k;
+        if (odd && c >= -(d - 1) && c <= d - 1) {
+          if (x + backward[offset + c] >= n) {
+            return {
+              x: aStart + startX,
+              y: bStart + startY,
+              u: aStart + x,
+              v: bStart + y,
+            };
+          }
+        }
+      }
+
+      for (let c = -d; c <= d; c += 2) {
+        let x =
+          c === -d ||
+          (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+            ? backward[offset + c + 1]
+            : backward[offset + c - 1] + 1;
+        let y = x - c;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[offset + c] = x;
+
+        const k = delta - c;
+        if (!odd && k >= -d && k <= d) {
+          if (forward[offset + k] + x >= n) {
+            return {
+              x: aEnd - x,
+              y: bEnd - y,
+              u: aEnd - startX,
+              v: bEnd - startY,
+            };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pair up deletions and insertions into aligned side-by-side rows
+   */
+  alignRows(ops) {
+    const rows = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+      const length = Math.max(deleted.length, inserted.length);
+      for (let i = 0; i < length; i++) {
+        rows.push({
+          type: "change",
+          left: i < deleted.length ? deleted[i] : null,
+          right: i < inserted.length ? inserted[i] : null,
+        });
+      }
+      deleted = [];
+      inserted = [];
+    };
+
+    ops.forEach((op) => {
+      if (op.type === "equal") {
+        flush();
+        rows.push({ type: "equal", left: op.left, right: op.right });
+      } else if (op.type === "delete") {
+        deleted.push(op.left);
+      } else {
+        inserted.push(op.right);
+      }
+    });
+    flush();
+
+    return rows;
+  }
+
+  /**
+   * Get the log sources available for a device
+   */
+  async getSources(device) {
+    const manager = this.deviceManager;
+    const sources = [
+      {
+        label: `${manager.version || "current"} (latest)`,
+        manager,
+        path: manager.getBootLogPath(device),
+      },
+    ];
+
+    manager.history
+      .getRuns(device.device)
+      .filter((run) => run.path)
+      .reverse()
+      .forEach((run) => {
+        sources.push({
+          label: `${manager.version || "current"} run ${Utils.formatTimestamp(manager.history.getRunTimestamp(run))}`,
+          manager,
+          path: `${run.path}/console_main`,
+        });
+      });
+
+    (await this.loadVersions())
+      .filter((version) => version.name !== manager.version)
+      .forEach((version) => {
+        sources.push({
+          label: `${version.title || version.name} (latest)`,
+          version: version.name,
+        });
+      });
+
+    return sources;
+  }
+
+  /**
+   * Load versions.json once for cross-version comparison
+   */
+  async loadVersions() {
+    if (this.versions) return this.versions;
+    try {
+      const response = await this.deviceManager.dataSource.fetch(
+        "versions.json",
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.versions = (await response.json()).versions || [];
+    } catch (error) {
+      console.warn("Failed to load versions.json:", error);
+      this.versions = [];
+    }
+    return this.versions;
+  }
+
+  /**
+   * Resolve the device manager and boot log path of a source
+   */
+  async resolveSource(source, device) {
+    if (source.path) return source;
+
+    // The results directory of another version comes from its devices.json
+    const manager = new DeviceManager(
+      this.deviceManager.baseUrl,
+      source.version,
+      this.deviceManager.dataSource,
+    );
+    await manager.fetchDeviceList();
+    const other = manager.devicesData.find((d) => d.device === device.device);
+    if (!other) {
+      throw new Error(`${device.device} is not tested on ${source.version}`);
+    }
+    return { manager, path: manager.getBootLogPath(other) };
+  }
+
+  /**
+   * Fetch the text of a log source
+   */
+  async fetchLog(source, device) {
+    const { manager, path } = await this.resolveSource(source, device);
+    const response = await manager.fetchResource(path);
+    if (!response.ok) {
+      throw new Error(`${source.label}: boot log not available (${response.status})`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Show the source selection for a device in the modal
+   */
+  async show(deviceId) {
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === deviceId,
+    );
+    if (!device) return;
+
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent =
+      `Boot Log Diff - ${device.name || device.device}`;
+    Utils.showLoading("modal-content", "Loading available logs...");
+    const loading = document.getElementById("modal-content").firstElementChild;
+    modal.show();
+
+    const sources = await this.getSources(device);
+    // Another view replaced the modal content while the logs were listed
+    if (!loading.isConnected) return;
+    this.sources = sources;
+    const options = (selected) =>
+      this.sources
+        .map(
+          (source, index) =>
+            `<option value="${index}" ${index === selected ? "selected" : ""}>${Utils.escapeHtml(source.label)}</option>`,
+        )
+        .join("");
+
+    document.getElementById("modal-content").innerHTML = `
+            <div class="row g-2 align-items-end mb-3">
+                <div class="col-md-5">
+                    <label class="form-label small mb-1" for="diffLeft">Left</label>
+                    <select class="form-select form-select-sm" id="diffLeft">${options(Math.min(1, this.sources.length - 1))}</select>
+                </div>
+                <div class="col-md-5">
+                    <label class="form-label small mb-1" for="diffRight">Right</label>
+                    <select class="form-select form-select-sm" id="diffRight">${options(0)}</select>
+                </div>
+                <div class="col-md-2">
+                    <button class="btn btn-sm btn-primary w-100" onclick="deviceManager.logDiff.compare('${deviceId}')">
+                        <i class="bi bi-layout-split"></i> Compare
+                    </button>
+                </div>
+            </div>
+            <div id="diff-container"></div>
+        `;
+  }
+
+  /**
+   * Fetch the two selected logs and render their diff
+   */
+  async compare(deviceId) {
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === deviceId,
+    );
+    if (!device) return;
+
+    const left = this.sources[document.getElementById("diffLeft").value];
+    const right = this.sources[document.getElementById("diffRight").value];
+    Utils.showLoading("diff-container", "Loading boot logs...");
+
+    try {
+      const [leftText, rightText] = await Promise.all([
+        this.fetchLog(left, device),
+        this.fetchLog(right, device),
+      ]);
+      this.leftLines = leftText.split("\n");
+      this.rightLines = rightText.split("\n");
+      this.rows = null;
+
+      const ops = this.diffLines(
+        this.leftLines.map((line) => this.normalizeLine(line)),
+        this.rightLines.map((line) => this.normalizeLine(line)),
+      );
+      if (!ops) {
+        Utils.showError(
+          "diff-container",
+          `The logs differ in more than ${CONFIG.LOG_DIFF_MAX_EDITS} lines and cannot be aligned.`,
+        );
+        return;
+      }
+
+      this.rows = this.alignRows(ops);
+      this.labels = [left.label, right.label];
+      this.renderDiff();
+    } catch (error) {
+      Utils.showError("diff-container", `Failed to compare boot logs: ${Utils.escapeHtml(error.message)}`);
+    }
+  }
+
+  /**
+   * Toggle display of unchanged lines
+   */
+  setShowUnchanged(showUnchanged) {
+    this.showUnchanged = showUnchanged;
+    this.renderDiff();
+  }
+
+  /**
+   * Render the aligned rows as a side-by-side table
+   */
+  renderDiff() {
+    const container = document.getElementById("diff-container");
+    if (!container || !this.rows) return;
+
+    const context = CONFIG.LOG_DIFF_CONTEXT;
+    const changed = this.rows.map((row) => row.type !== "equal");
+    const nearChange = changed.map((_, i) =>
+      changed.slice(Math.max(0, i - context), i + context + 1).some(Boolean),
+    );
+
+    const cell = (lines, index, type) => {
+      if (index === null) {
+        return '<td class="diff-line-number"></td><td class="diff-empty"></td>';
+      }
+      return `
+                <td class="diff-line-number">${index + 1}</td>
+                <td class="diff-text ${type}">${Utils.parseAnsiCodes(Utils.escapeHtml(lines[index]))}</td>
+            `;
+    };
+
+    let html = "";
+    let hidden = 0;
+    this.rows.forEach((row, i) => {
+      if (!this.showUnchanged && !nearChange[i]) {
+        hidden++;
+        return;
+      }
+      if (hidden > 0) {
+        html += `<tr class="diff-skipped"><td colspan="4">${hidden} unchanged line${hidden === 1 ? "" : "s"}</td></tr>`;
+        hidden = 0;
+      }
+      const isChange = row.type === "change";
+      html += `
+                <tr>
+                    ${cell(this.leftLines, row.left, isChange ? "removed" : "")}
+                    ${cell(this.rightLines, row.right, isChange ? "added" : "")}
+                </tr>
+            `;
+    });
+    if (hidden > 0) {
+      html += `<tr class="diff-skipped"><td colspan="4">${hidden} unchanged line${hidden === 1 ? "" : "s"}</td></tr>`;
+    }
+
+    const changes = changed.filter(Boolean).length;
+    container.innerHTML = `
+            <div class="d-flex align-items-center mb-2">
+                <span class="small text-muted">
+                    ${changes} changed line${changes === 1 ? "" : "s"} after normalizing timestamps, MAC addresses and IDs
+                </span>
+                <div class="form-check form-switch ms-auto mb-0">
+                    <input class="form-check-input" type="checkbox" id="diffShowUnchanged"
+                           ${this.showUnchanged ? "checked" : ""}
+                           onchange="deviceManager.logDiff.setShowUnchanged(this.checked)">
+                    <label class="form-check-label small" for="diffShowUnchanged">Show unchanged lines</label>
+                </div>
+            </div>
+            <div class="log-viewer log-diff">
+                <table>
+                    <thead>
+                        <tr>
+                            <th colspan="2">${Utils.escapeHtml(this.labels[0])}</th>
+                            <th colspan="2">${Utils.escapeHtml(this.labels[1])}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${html}
+                    </tbody>
+                </table>
+            </div>
+        `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LogDiff;
+}
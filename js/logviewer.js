@@ -0,0 +1,426 @@
+// Boot log viewer for OpenWrt Test Dashboard
+
+class LogViewer {
+  // Must match the height of .log-line in styles.css
+  static LINE_HEIGHT = 18;
+
+  // Lines rendered above and below the visible area
+  static OVERSCAN = 50;
+
+  // Patterns that mark interesting lines in a console log
+  static MARKERS = [
+    { type: "panic", label: "Kernel panic", pattern: /Kernel panic/ },
+    { type: "oops", label: "Oops", pattern: /\bOops\b|BUG: |Unable to handle kernel/ },
+    {
+      type: "procd",
+      label: "procd failure",
+      pattern: /procd:.*(fail|crash|error|respawn)/i,
+    },
+    {
+      type: "uboot",
+      label: "U-Boot error",
+      pattern:
+        /### ERROR ###|Retry count exceeded|TFTP error|Wrong Image Format|Bad (Linux ARM|Magic Number|Data CRC)|Unknown command|ERROR: can't get kernel image/,
+    },
+  ];
+
+  constructor(container, text) {
+    this.container = container;
+    this.lines = text.split("\n").map((line) => line.replace(/\r$/, ""));
+    this.plainLines = this.lines.map((line) =>
+      line.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, ""),
+    );
+    this.visibleLines = this.lines.map((_, i) => i);
+    this.matches = [];
+    this.currentMatch = -1;
+    this.selectedLine = null;
+    this.query = "";
+    this.useRegex = false;
+    this.filterMode = false;
+    this.markers = LogViewer.findMarkers(this.plainLines);
+    // Element created by render() that holds the viewer and its listeners
+    this.root = null;
+  }
+
+  /**
+   * Find lines matching one of the marker patterns
+   */
+  static findMarkers(plainLines) {
+    const markers = [];
+    plainLines.forEach((line, index) => {
+      const marker = LogViewer.MARKERS.find((m) => m.pattern.test(line));
+      if (marker) {
+        markers.push({ ...marker, line: index });
+      }
+    });
+    return markers;
+  }
+
+  /**
+   * Get the text of the log as shown, without carriage returns
+   */
+  getText() {
+    return this.lines.join("\n");
+  }
+
+  /**
+   * Build a matcher for the current query, or null if it is empty or invalid
+   */
+  getMatcher() {
+    if (!this.query) return null;
+    if (!this.useRegex) {
+      const query = this.query.toLowerCase();
+      return (line) => line.toLowerCase().includes(query);
+    }
+    try {
+      const regex = new RegExp(this.query, "i");
+      return (line) => regex.test(line);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Update the search query and options
+   */
+  setSearch(query, useRegex = this.useRegex, filterMode = this.filterMode) {
+    this.query = query;
+    this.useRegex = useRegex;
+    this.filterMode = filterMode;
+
+    const matcher = this.getMatcher();
+    this.matches = [];
+    if (matcher) {
+      this.plainLines.forEach((line, index) => {
+        if (matcher(line)) this.matches.push(index);
+      });
+    }
+
+    this.visibleLines =
+      this.filterMode && matcher ? this.matches : this.lines.map((_, i) => i);
+    this.currentMatch = -1;
+
+    const searchInput = this.root.querySelector(".log-search");
+    if (searchInput) {
+      searchInput.classList.toggle(
+        "is-invalid",
+        Boolean(query) && !matcher,
+      );
+    }
+
+    this.updateSpacer();
+    this.updateMatchCount();
+    if (this.matches.length > 0) {
+      this.nextMatch();
+    } else {
+      this.renderLines();
+    }
+  }
+
+  /**
+   * Jump to the next search match
+   */
+  nextMatch() {
+    if (this.matches.length === 0) return;
+    this.currentMatch = (this.currentMatch + 1) % this.matches.length;
+    this.updateMatchCount();
+    this.scrollToLine(this.matches[this.currentMatch]);
+  }
+
+  /**
+   * Jump to the previous search match
+   */
+  previousMatch() {
+    if (this.matches.length === 0) return;
+    this.currentMatch =
+      (this.currentMatch - 1 + this.matches.length) % this.matches.length;
+    this.updateMatchCount();
+    this.scrollToLine(this.matches[this.currentMatch]);
+  }
+
+  /**
+   * Scroll a line into the middle of the viewport and select it
+   */
+  scrollToLine(lineIndex) {
+    let position = this.visibleLines.indexOf(lineIndex);
+    if (position === -1) {
+      // The line is hidden by the filter, show all lines again
+      this.filterMode = false;
+      this.visibleLines = this.lines.map((_, i) => i);
+      this.updateSpacer();
+      const filterToggle = this.root.querySelector(".log-filter-toggle");
+      if (filterToggle) filterToggle.checked = false;
+      position = lineIndex;
+    }
+
+    this.selectedLine = lineIndex;
+    const viewport = this.getViewport();
+    viewport.scrollTop = Math.max(
+      0,
+      position * LogViewer.LINE_HEIGHT - viewport.clientHeight / 2,
+    );
+    this.renderLines();
+  }
+
+  /**
+   * Select a line and update the URL hash to link to it
+   */
+  selectLine(lineIndex) {
+    this.selectedLine = lineIndex;
+    window.history.replaceState(
+      {},
+      "",
+      `${window.location.pathname}${window.location.search}#L${lineIndex + 1}`,
+    );
+    this.renderLines();
+  }
+
+  /**
+   * Get the scrolling viewport element
+   */
+  getViewport() {
+    return this.root.querySelector(".log-viewport");
+  }
+
+  /**
+   * Update the height of the virtual scroll area
+   */
+  updateSpacer() {
+    const spacer = this.root.querySelector(".log-spacer");
+    if (spacer) {
+      spacer.style.height = `${this.visibleLines.length * LogViewer.LINE_HEIGHT}px`;
+    }
+  }
+
+  /**
+   * Update the "n of m" search match display
+   */
+  updateMatchCount() {
+    const count = this.root.querySelector(".log-match-count");
+    if (!count) return;
+    if (!this.query) {
+      count.textContent = "";
+    } else {
+      count.textContent = `${this.matches.length ? this.currentMatch + 1 : 0} of ${this.matches.length}`;
+    }
+  }
+
+  /**
+   * Render a single line with search highlights
+   */
+  renderLineContent(lineIndex) {
+    const matcher = this.getMatcher();
+    if (!matcher || !matcher(this.plainLines[lineIndex])) {
+      return Utils.parseAnsiCodes(Utils.escapeHtml(this.lines[lineIndex]));
+    }
+
+    // Highlight the matched text on the plain line
+    const line = this.plainLines[lineIndex];
+    const regex = this.useRegex
+      ? new RegExp(this.query, "gi")
+      : new RegExp(this.query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+
+    let html = "";
+    let lastIndex = 0;
+    for (const match of line.matchAll(regex)) {
+      if (match[0].length === 0) break;
+      html += Utils.escapeHtml(line.slice(lastIndex, match.index));
+      html += `<mark>${Utils.escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+    html += Utils.escapeHtml(line.slice(lastIndex));
+    return html;
+  }
+
+  /**
+   * Render the lines currently in view
+   */
+  renderLines() {
+    const viewport = this.getViewport();
+    const content = this.root.querySelector(".log-content");
+    if (!viewport || !content) return;
+
+    const first = Math.max(
+      0,
+      Math.floor(viewport.scrollTop / LogViewer.LINE_HEIGHT) -
+        LogViewer.OVERSCAN,
+    );
+    const last = Math.min(
+      this.visibleLines.length,
+      Math.ceil(
+        (viewport.scrollTop + viewport.clientHeight) / LogViewer.LINE_HEIGHT,
+      ) + LogViewer.OVERSCAN,
+    );
+
+    const markerLines = new Map(this.markers.map((m) => [m.line, m.type]));
+    const currentMatchLine =
+      this.currentMatch >= 0 ? this.matches[this.currentMatch] : null;
+
+    content.style.transform = `translateY(${first * LogViewer.LINE_HEIGHT}px)`;
+    content.innerHTML = this.visibleLines
+      .slice(first, last)
+      .map((lineIndex) => {
+        const classes = ["log-line"];
+        if (markerLines.has(lineIndex)) {
+          classes.push("marker", `marker-${markerLines.get(lineIndex)}`);
+        }
+        if (lineIndex === currentMatchLine) classes.push("current-match");
+        if (lineIndex === this.selectedLine) classes.push("selected");
+
+        return `<div class="${classes.join(" ")}"><a class="log-line-number" href="#L${lineIndex + 1}" data-line="${lineIndex}">${lineIndex + 1}</a><span class="log-line-text">${this.renderLineContent(lineIndex)}</span></div>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Render the marker jump list
+   */
+  renderMarkerList() {
+    if (this.markers.length === 0) {
+      return '<span class="text-muted small">No errors detected</span>';
+    }
+
+    const items = this.markers
+      .map(
+        (marker) => `
+                <li>
+                    <a class="dropdown-item small" href="#L${marker.line + 1}" data-line="${marker.line}">
+                        <span class="badge log-marker-badge marker-${marker.type} me-2">${marker.label}</span>
+                        Line ${marker.line + 1}: ${Utils.escapeHtml(this.plainLines[marker.line].trim().slice(0, 80))}
+                    </a>
+                </li>
+            `,
+      )
+      .join("");
+
+    return `
+            <div class="dropdown">
+                <button class="btn btn-sm btn-outline-danger dropdown-toggle" type="button" data-bs-toggle="dropdown">
+                    <i class="bi bi-exclamation-octagon"></i>
+                    ${this.markers.length} issue${this.markers.length === 1 ? "" : "s"}
+                </button>
+                <ul class="dropdown-menu log-marker-list">
+                    ${items}
+                </ul>
+            </div>
+        `;
+  }
+
+  /**
+   * Render the viewer into its container and wire up its controls
+   *
+   * Listeners are attached to elements of this viewer only, so they go
+   * away with it when the container shows something else.
+   */
+  render() {
+    this.root = document.createElement("div");
+    this.root.innerHTML = `
+            <div class="log-toolbar d-flex flex-wrap align-items-center gap-2 mb-2">
+                <div class="input-group input-group-sm log-search-group">
+                    <span class="input-group-text"><i class="bi bi-search"></i></span>
+                    <input type="text" class="form-control log-search" placeholder="Search log...">
+                    <span class="input-group-text log-match-count"></span>
+                    <button class="btn btn-outline-secondary log-previous" type="button" title="Previous match (Shift+Enter)">
+                        <i class="bi bi-chevron-up"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary log-next" type="button" title="Next match (Enter)">
+                        <i class="bi bi-chevron-down"></i>
+                    </button>
+                </div>
+                <div class="form-check form-check-inline mb-0">
+                    <input class="form-check-input log-regex-toggle" type="checkbox" id="logRegexToggle">
+                    <label class="form-check-label small" for="logRegexToggle">Regex</label>
+                </div>
+                <div class="form-check form-check-inline mb-0">
+                    <input class="form-check-input log-filter-toggle" type="checkbox" id="logFilterToggle">
+                    <label class="form-check-label small" for="logFilterToggle">Only matching lines</label>
+                </div>
+                <div class="ms-auto d-flex align-items-center gap-2">
+                    <span class="text-muted small">${this.lines.length} lines</span>
+                    ${this.renderMarkerList()}
+                </div>
+            </div>
+            <div class="log-viewer log-viewport">
+                <div class="log-spacer">
+                    <div class="log-content"></div>
+                </div>
+            </div>
+        `;
+    this.container.replaceChildren(this.root);
+
+    const viewport = this.getViewport();
+    const searchInput = this.root.querySelector(".log-search");
+    const regexToggle = this.root.querySelector(".log-regex-toggle");
+    const filterToggle = this.root.querySelector(".log-filter-toggle");
+
+    let scheduled = false;
+    viewport.addEventListener("scroll", () => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        this.renderLines();
+      });
+    });
+
+    const updateSearch = Utils.debounce(() => {
+      this.setSearch(
+        searchInput.value,
+        regexToggle.checked,
+        filterToggle.checked,
+      );
+    }, 200);
+    searchInput.addEventListener("input", updateSearch);
+    searchInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        if (event.shiftKey) {
+          this.previousMatch();
+        } else {
+          this.nextMatch();
+        }
+      }
+    });
+    regexToggle.addEventListener("change", updateSearch);
+    filterToggle.addEventListener("change", updateSearch);
+
+    this.root
+      .querySelector(".log-previous")
+      .addEventListener("click", () => this.previousMatch());
+    this.root
+      .querySelector(".log-next")
+      .addEventListener("click", () => this.nextMatch());
+
+    // Line numbers and jump list entries link to lines
+    this.root.addEventListener("click", (event) => {
+      const link = event.target.closest("[data-line]");
+      if (!link) return;
+      event.preventDefault();
+      const lineIndex = parseInt(link.dataset.line);
+      if (link.classList.contains("log-line-number")) {
+        this.selectLine(lineIndex);
+      } else {
+        this.scrollToLine(lineIndex);
+        this.selectLine(lineIndex);
+      }
+    });
+
+    this.updateSpacer();
+    this.renderLines();
+
+    // Jump to the line from a #L1234 permalink
+    const hashMatch = window.location.hash.match(/^#L(\d+)$/);
+    if (hashMatch) {
+      const lineIndex = parseInt(hashMatch[1]) - 1;
+      if (lineIndex >= 0 && lineIndex < this.lines.length) {
+        // Wait for the modal to be laid out so the viewport has a height
+        requestAnimationFrame(() => this.scrollToLine(lineIndex));
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LogViewer;
+}
@@ -0,0 +1,255 @@
+// Test-centric view for OpenWrt Test Dashboard
+
+class TestOverview {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.failingOnly = false;
+  }
+
+  /**
+   * Pivot the testcases of all devices into one entry per test
+   */
+  buildIndex(devices = this.deviceManager.devicesData) {
+    const index = new Map();
+
+    devices.forEach((device) => {
+      if (!device.report) return;
+      device.report.testcases.forEach((test) => {
+        const key = `${test.classname}.${test.name}`;
+        if (!index.has(key)) {
+          index.set(key, {
+            key,
+            classname: test.classname,
+            name: test.name,
+            results: {},
+          });
+        }
+        index.get(key).results[device.device] = test;
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Summarize the results of a single test across devices
+   */
+  getSummary(entry) {
+    const summary = {
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      error: 0,
+      totalTime: 0,
+      timed: 0,
+      failingTargets: {},
+    };
+    const targetTotals = {};
+
+    Object.entries(entry.results).forEach(([deviceId, test]) => {
+      summary[test.status]++;
+
+      if (test.status !== "skipped") {
+        summary.totalTime += test.time;
+        summary.timed++;
+      }
+
+      const device = this.deviceManager.devicesData.find(
+        (d) => d.device === deviceId,
+      );
+      const target = (device && device.target) || "Unknown";
+      targetTotals[target] = (targetTotals[target] || 0) + 1;
+      if (test.status === "failed" || test.status === "error") {
+        summary.failingTargets[target] =
+          (summary.failingTargets[target] || 0) + 1;
+      }
+    });
+
+    const ran = summary.passed + summary.failed + summary.error;
+    summary.failureRate = ran ? (summary.failed + summary.error) / ran : 0;
+    summary.avgTime = summary.timed ? summary.totalTime / summary.timed : 0;
+    summary.targetTotals = targetTotals;
+    return summary;
+  }
+
+  /**
+   * Toggle showing only tests with at least one failure
+   */
+  setFailingOnly(failingOnly) {
+    this.failingOnly = failingOnly;
+    document.getElementById("modal-content").innerHTML = this.render();
+  }
+
+  /**
+   * Render the test × device table
+   */
+  render() {
+    const devices = this.deviceManager.devicesData.filter((d) => d.report);
+    const entries = [...this.buildIndex(devices).values()]
+      .map((entry) => ({ entry, summary: this.getSummary(entry) }))
+      .filter(
+        ({ summary }) =>
+          !this.failingOnly || summary.failed + summary.error > 0,
+      )
+      .sort(
+        (a, b) =>
+          b.summary.failureRate - a.summary.failureRate ||
+          a.entry.key.localeCompare(b.entry.key),
+      );
+
+    const toggle = `
+            <div class="form-check form-switch mb-3">
+                <input class="form-check-input" type="checkbox" id="failingTestsOnly"
+                       ${this.failingOnly ? "checked" : ""}
+                       onchange="deviceManager.testOverview.setFailingOnly(this.checked)">
+                <label class="form-check-label" for="failingTestsOnly">Only tests with failures</label>
+            </div>
+        `;
+
+    if (entries.length === 0) {
+      return `${toggle}<p class="text-muted">No test data available</p>`;
+    }
+
+    const header = devices
+      .map(
+        (device) =>
+          `<th class="test-matrix-device" title="${Utils.escapeHtml(device.target || "Unknown")}"><span>${Utils.escapeHtml(device.device)}</span></th>`,
+      )
+      .join("");
+
+    const rows = entries
+      .map(({ entry, summary }) => {
+        const cells = devices
+          .map((device) => {
+            const test = entry.results[device.device];
+            if (!test) return '<td class="text-center text-muted">-</td>';
+            const clickable = test.status !== "passed";
+            return `
+                    <td class="text-center">
+                        <span class="test-dot ${test.status} ${clickable ? "clickable" : ""}"
+                              title="${Utils.escapeHtml(`${device.device}: ${test.status}`)}"
+                              ${clickable ? `data-device="${Utils.escapeHtml(device.device)}" data-classname="${Utils.escapeHtml(test.classname)}" data-name="${Utils.escapeHtml(test.name)}"
+                              onclick="deviceManager.testOverview.showResult(this.dataset.device, this.dataset.classname, this.dataset.name)"` : ""}></span>
+                    </td>
+                `;
+          })
+          .join("");
+
+        const failingTargets = Object.entries(summary.failingTargets)
+          .map(
+            ([target, count]) =>
+              `<span class="badge bg-light text-dark">${Utils.escapeHtml(target)} ${count}/${summary.targetTotals[target]}</span>`,
+          )
+          .join(" ");
+
+        return `
+                <tr>
+                    <td title="${Utils.escapeHtml(entry.key)}">
+                        ${Utils.escapeHtml(entry.name)}
+                        <small class="text-muted d-block">${Utils.escapeHtml(entry.classname.split(".").pop())}</small>
+                    </td>
+                    <td><span class="badge bg-success">${summary.passed}</span></td>
+                    <td><span class="badge bg-danger">${summary.failed + summary.error}</span></td>
+                    <td><span class="badge bg-warning">${summary.skipped}</span></td>
+                    <td>${(summary.failureRate * 100).toFixed(0)}%</td>
+                    <td>${Utils.formatDuration(summary.avgTime)}</td>
+                    <td>${failingTargets}</td>
+                    ${cells}
+                </tr>
+            `;
+      })
+      .join("");
+
+    return `
+            ${toggle}
+            <div class="table-responsive">
+                <table class="table table-sm test-results-table test-matrix">
+                    <thead>
+                        <tr>
+                            <th>Test</th>
+                            <th>Pass</th>
+                            <th>Fail</th>
+                            <th>Skip</th>
+                            <th>Failure Rate</th>
+                            <th>Avg Duration</th>
+                            <th>Failing Targets</th>
+                            ${header}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+  }
+
+  /**
+   * Show the test overview modal
+   */
+  show() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceModal"),
+    );
+    document.getElementById("modalTitle").textContent = "Test Overview";
+    document.getElementById("modal-content").innerHTML = this.render();
+    modal.show();
+  }
+
+  /**
+   * Show the result of one test on one device
+   *
+   * The device and test are looked up by ID and name, as the device list
+   * and reports may have been updated since the overview was rendered.
+   */
+  showResult(deviceId, classname, name) {
+    const device = this.deviceManager.devicesData.find(
+      (d) => d.device === deviceId,
+    );
+    if (!device || !device.report) return;
+
+    // The overview keeps the last of repeated testcases, as buildIndex() does
+    const test = device.report.testcases
+      .filter((tc) => tc.classname === classname && tc.name === name)
+      .pop();
+    if (!test) return;
+    const testKey = `${test.classname}.${test.name}`;
+
+    document.getElementById("modalTitle").textContent =
+      `${test.name} - ${device.name || device.device}`;
+    document.getElementById("modal-content").innerHTML = `
+            <div class="mb-3">
+                <button class="btn btn-sm btn-outline-secondary" onclick="deviceManager.testOverview.show()">
+                    <i class="bi bi-arrow-left"></i> Back to Test Overview
+                </button>
+                <button class="btn btn-sm btn-outline-primary" onclick="deviceManager.showTestDetails('${device.device}')">
+                    <i class="bi bi-list-ul"></i> All Tests of this Device
+                </button>
+                ${
+                  test.status === "failed" || test.status === "error"
+                    ? `<button class="btn btn-sm btn-outline-danger" onclick="deviceManager.issues.show('${device.device}', ${device.report.testcases.indexOf(test)})">
+                    <i class="bi bi-bug"></i> Report Issue
+                </button>`
+                    : ""
+                }
+            </div>
+            <dl class="row small">
+                <dt class="col-sm-2">Test</dt>
+                <dd class="col-sm-10">${Utils.escapeHtml(testKey)}</dd>
+                <dt class="col-sm-2">Device</dt>
+                <dd class="col-sm-10">${Utils.escapeHtml(device.device)} (${Utils.escapeHtml(device.target || "Unknown")})</dd>
+                <dt class="col-sm-2">Status</dt>
+                <dd class="col-sm-10">${Utils.escapeHtml(test.status)}</dd>
+                <dt class="col-sm-2">Duration</dt>
+                <dd class="col-sm-10">${Utils.formatDuration(test.time)}</dd>
+            </dl>
+            <div class="test-message mw-100">${this.deviceManager.formatTestMessage(test.message || "")}</div>
+            ${test.details ? `<div class="log-viewer mt-3"><pre class="mb-0"><code>${Utils.parseAnsiCodes(Utils.escapeHtml(test.details))}</code></pre></div>` : ""}
+        `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TestOverview;
+}
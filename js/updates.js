@@ -0,0 +1,364 @@
+// Incremental refresh and change notifications for OpenWrt Test Dashboard
+
+class UpdateWatcher {
+  constructor(deviceManager) {
+    this.deviceManager = deviceManager;
+    this.validators = new Map();
+    this.checking = false;
+
+    this.notify = false;
+    try {
+      this.notify = localStorage.getItem(CONFIG.NOTIFY_STORAGE_KEY) === "true";
+    } catch (error) {
+      // localStorage is unavailable
+    }
+  }
+
+  /**
+   * Forget what has been fetched, e.g. after switching the data source
+   */
+  reset() {
+    this.validators.clear();
+  }
+
+  /**
+   * Fetch a resource and tell whether it changed since the last check
+   *
+   * The request revalidates the browser cache, so unchanged files are
+   * answered with 304 by the server. ETag and Last-Modified are compared
+   * when the server exposes them, the content otherwise.
+   */
+  async fetchIfChanged(path) {
+    const response = await this.deviceManager.fetchQueued(path, {
+      cache: "no-cache",
+    });
+    if (!response.ok) {
+      return { ok: false, changed: false, status: response.status };
+    }
+
+    const previous = this.validators.get(path);
+    const etag = response.headers.get("ETag");
+    const lastModified = response.headers.get("Last-Modified");
+    if (
+      previous &&
+      ((etag && etag === previous.etag) ||
+        (!etag && lastModified && lastModified === previous.lastModified))
+    ) {
+      return { ok: true, changed: false };
+    }
+
+    const text = await response.text();
+    const signature = this.remember(path, response, text);
+    return {
+      ok: true,
+      changed: !previous || previous.signature !== signature,
+      text,
+    };
+  }
+
+  /**
+   * Record the validators of a fetched resource for later checks
+   *
+   * Loaders call this with what they fetched, so the first check after a
+   * load only downloads and parses what changed since. Returns the content
+   * signature.
+   */
+  remember(path, response, text) {
+    const signature = Utils.hashText(text);
+    this.validators.set(path, {
+      etag: response.headers.get("ETag"),
+      lastModified: response.headers.get("Last-Modified"),
+      signature,
+    });
+    return signature;
+  }
+
+  /**
+   * Check whether two reports describe the same run with the same results
+   */
+  isSameReport(a, b) {
+    if (!a || !b) return a === b;
+    const keys = [
+      "timestamp",
+      "tests",
+      "passed",
+      "failures",
+      "errors",
+      "skipped",
+    ];
+    return keys.every((key) => a[key] === b[key]);
+  }
+
+  /**
+   * Reload devices.json and merge it into the current device list
+   *
+   * Known devices are updated in place and keep their report and loading
+   * state; returns the IDs of added, removed and changed devices, or null
+   * if the list did not change.
+   */
+  async updateDeviceList() {
+    const manager = this.deviceManager;
+    const result = await this.fetchIfChanged("devices.json");
+    if (!result.ok || !result.changed) return null;
+
+    const { devices: list, issues } = Inventory.validateDevices(
+      JSON.parse(result.text),
+      manager.version,
+    );
+    manager.dataIssues = issues;
+    const known = new Map(manager.devicesData.map((d) => [d.device, d]));
+    const ids = new Set(list.map((d) => d.device));
+
+    const added = list
+      .filter((d) => !known.has(d.device))
+      .map((d) => d.device);
+    const removed = manager.devicesData
+      .filter((d) => !ids.has(d.device))
+      .map((d) => d.device);
+    const changed = list
+      .filter((entry) => {
+        if (!known.has(entry.device)) return false;
+        const previous = known.get(entry.device);
+        return Object.keys(Inventory.DEVICE_FIELDS).some(
+          (key) => entry[key] !== previous[key],
+        );
+      })
+      .map((d) => d.device);
+    if (added.length + removed.length + changed.length === 0) return null;
+
+    // Fields set while loading are kept, all others come from the new list
+    const runtime = ["report", "loading", "loadError", "status"];
+    manager.devicesData = list.map((entry) => {
+      const device = known.get(entry.device);
+      if (!device) return { ...entry, report: null };
+      Object.keys(device)
+        .filter((key) => !runtime.includes(key))
+        .forEach((key) => delete device[key]);
+      return Object.assign(device, entry);
+    });
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Fetch the latest reports and collect what changed
+   */
+  async collectChanges() {
+    const manager = this.deviceManager;
+    const changes = [];
+
+    await Promise.all(
+      manager.devicesData.map(async (device) => {
+        try {
+          const result = await this.fetchIfChanged(
+            `${manager.getResultsPath(device)}/report.xml`,
+          );
+          if (!result.ok || !result.changed) return;
+
+          const report = manager.parseTestReport(result.text);
+          if (this.isSameReport(device.report, report)) return;
+
+          // A new report comes with a new console log
+          if (manager.dataSource.invalidate) {
+            manager.dataSource.invalidate(
+              manager.getResourcePath(manager.getBootLogPath(device)),
+            );
+          }
+
+          const before = manager.getDeviceStatus(device);
+          const newRun =
+            !device.report ||
+            !report ||
+            device.report.timestamp !== report.timestamp;
+          device.report = report;
+          changes.push({
+            device,
+            before,
+            after: manager.getDeviceStatus(device),
+            newRun,
+          });
+        } catch (error) {
+          if (FetchQueue.isAbort(error)) return;
+          console.warn(`Error checking ${device.device} for updates:`, error);
+        }
+      }),
+    );
+
+    return changes;
+  }
+
+  /**
+   * Check for new results and update the changed devices in place
+   */
+  async check() {
+    if (this.checking) return [];
+    this.checking = true;
+    const manager = this.deviceManager;
+
+    try {
+      await manager.labs.loadStatus({ cache: "no-cache" });
+      const listChange = await this.updateDeviceList();
+      const changes = await this.collectChanges();
+
+      const changedIds = new Set(changes.map((change) => change.device.device));
+      if (listChange) {
+        listChange.added.forEach((id) => changedIds.add(id));
+        listChange.changed.forEach((id) => changedIds.add(id));
+      }
+
+      if (changedIds.size > 0 || listChange) {
+        await manager.history.loadIndex({ cache: "no-cache" });
+        await Promise.all(
+          manager.devicesData
+            .filter((device) => changedIds.has(device.device))
+            .map((device) => manager.history.loadDeviceHistory(device)),
+        );
+
+        manager.updateStats();
+        if (listChange) manager.renderFacetOptions();
+        const newRuns = changes
+          .filter((change) => change.newRun)
+          .map((change) => change.device.device);
+        if (listChange) newRuns.push(...listChange.changed);
+        manager.updateDevices([...changedIds], {
+          listChanged: !!listChange,
+          newRuns,
+        });
+        manager.renderDataIssues();
+      } else {
+        manager.updateStats();
+      }
+
+      manager.updateLastRefreshTime();
+      this.announce(changes, listChange);
+      return changes;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Describe the changes of a check as a title, lines and a severity
+   */
+  summarize(changes, listChange) {
+    const isFailing = (status) => status === "failed" || status === "error";
+    const name = (device) => this.deviceManager.getDisplayName(device);
+
+    const broken = changes.filter(
+      (c) => isFailing(c.after) && !isFailing(c.before),
+    );
+    const fixed = changes.filter(
+      (c) =>
+        isFailing(c.before) && !isFailing(c.after) && c.after !== "nodata",
+    );
+    const runs = changes.filter((c) => c.newRun);
+
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+    const lines = [];
+    broken.forEach(({ device }) => {
+      const counts = this.deviceManager.flaky.getCounts(device);
+      lines.push(
+        `${name(device)} started failing (${plural(counts.failures + counts.errors, "failing test")})`,
+      );
+    });
+    fixed.forEach(({ device }) => lines.push(`${name(device)} passes again`));
+    if (listChange && listChange.added.length > 0) {
+      lines.push(`${plural(listChange.added.length, "device")} added`);
+    }
+    if (listChange && listChange.removed.length > 0) {
+      lines.push(`${plural(listChange.removed.length, "device")} removed`);
+    }
+
+    let title = "Results updated";
+    if (broken.length > 0) {
+      title = `${plural(broken.length, "device")} started failing`;
+    } else if (runs.length > 0) {
+      title = `New results for ${plural(runs.length, "device")}`;
+    }
+
+    let type = "info";
+    if (broken.length > 0) type = "danger";
+    else if (fixed.length > 0) type = "success";
+
+    return { title, lines, type };
+  }
+
+  /**
+   * Tell the user about changes with a toast and a browser notification
+   */
+  announce(changes, listChange) {
+    const listChanged =
+      listChange && listChange.added.length + listChange.removed.length > 0;
+    if (changes.length === 0 && !listChanged) return;
+
+    const summary = this.summarize(changes, listChange);
+    Utils.showToast(
+      `<strong>${Utils.escapeHtml(summary.title)}</strong>` +
+        summary.lines.map((line) => `<br>${Utils.escapeHtml(line)}`).join(""),
+      summary.type,
+    );
+
+    if (
+      this.notify &&
+      typeof Notification !== "undefined" &&
+      Notification.permission === "granted"
+    ) {
+      const version = this.deviceManager.version;
+      new Notification(
+        `OpenWrt Tests${version ? ` (${version})` : ""}: ${summary.title}`,
+        { body: summary.lines.join("\n"), tag: "openwrt-tests-update" },
+      );
+    }
+  }
+
+  /**
+   * Turn browser notifications on or off
+   */
+  async toggleNotifications() {
+    if (typeof Notification === "undefined") {
+      Utils.showToast("This browser does not support notifications", "warning");
+      return;
+    }
+
+    let notify = !this.notify;
+    if (notify && Notification.permission !== "granted") {
+      notify = (await Notification.requestPermission()) === "granted";
+      if (!notify) {
+        Utils.showToast("Notifications were not allowed", "warning");
+      }
+    }
+
+    this.notify = notify;
+    try {
+      localStorage.setItem(CONFIG.NOTIFY_STORAGE_KEY, String(notify));
+    } catch (error) {
+      // localStorage is unavailable
+    }
+    this.renderNotifyButton();
+  }
+
+  /**
+   * Reflect the notification setting in the navbar button
+   */
+  renderNotifyButton() {
+    const button = document.getElementById("notifyBtn");
+    if (!button) return;
+
+    const enabled =
+      this.notify &&
+      typeof Notification !== "undefined" &&
+      Notification.permission === "granted";
+    button.classList.toggle("active", enabled);
+    button.title = enabled
+      ? "Browser notifications on"
+      : "Notify me when a device starts failing";
+    button.querySelector("i").className = enabled
+      ? "bi bi-bell-fill"
+      : "bi bi-bell";
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UpdateWatcher;
+}
@@ -3,7 +3,39 @@
 // Configuration
 const CONFIG = {
     BASE_URL: "https://aparcar.org/openwrt-tests",
+    BASE_URL_STORAGE_KEY: "openwrt-tests-base-url",
     REFRESH_INTERVAL: 300000, // 5 minutes
+    HISTORY_INDEX: "history.json",
+    HISTORY_LIMIT: 20, // past runs shown per device
+    LOG_DIFF_MAX_EDITS: 5000, // give up aligning logs beyond this many changes
+    LOG_DIFF_CONTEXT: 3, // unchanged lines shown around each change
+    QUARANTINE_FILE: "quarantine.json",
+    FLAKY_WINDOW: 10, // recent runs considered for flaky detection
+    FLAKY_MIN_RUNS: 3,
+    FLAKY_THRESHOLD: 0.3, // share of runs where the result flipped
+    ISSUE_URL: "https://github.com/openwrt/openwrt/issues/new",
+    ISSUE_LOG_LINES: 40, // console lines included in issue reports
+    ISSUE_URL_MAX_LENGTH: 8000, // longer new-issue URLs are rejected by GitHub
+    FIRMWARE_BASE_URL: "https://downloads.openwrt.org",
+    SOURCE_URL: "https://github.com/openwrt/openwrt",
+    NOTIFY_STORAGE_KEY: "openwrt-tests-notify",
+    TOAST_DELAY: 10000, // how long update toasts stay visible
+    FETCH_CONCURRENCY: 6, // parallel requests to the results server
+    FETCH_TIMEOUT: 15000,
+    FETCH_RETRIES: 2,
+    FETCH_RETRY_DELAY: 1000, // doubled after every retry
+    RENDER_BATCH_DELAY: 150, // rows updated at most this often while loading
+    CACHE_MAX_AGE: 14 * 24 * 60 * 60 * 1000, // drop cached results after 14 days
+    DURATION_FACTOR: 1.5, // a test this many times slower counts as regressed
+    DURATION_MIN_CHANGE: 5, // ...if it also got at least this many seconds slower
+    DURATION_MIN_PEERS: 2, // other devices of a target needed for comparison
+    DURATION_TOP: 20, // tests listed in the slowest tests ranking
+    CLUSTER_TOP: 15, // failure causes listed, most widespread first
+    CLUSTER_SIGNATURE_LENGTH: 200, // longer messages are grouped by their start
+    LAB_STATUS_FILE: "labs.json",
+    STALE_AFTER: 48 * 60 * 60 * 1000, // reports older than 48 hours are stale
+    BOOT_TEST_PATTERN: /boot|shell|console/i, // failing tests that mean no boot
+    FRESHNESS_STORAGE_KEY: "openwrt-tests-freshness",
 };
 
 // Utility functions
@@ -17,6 +49,30 @@ const Utils = {
         return date.toLocaleString();
     },
 
+    /**
+     * Format a timestamp relative to now, e.g. "3 hours ago"
+     */
+    formatRelativeTime(timestamp) {
+        const time = timestamp ? new Date(timestamp).getTime() : NaN;
+        if (isNaN(time)) return "at an unknown time";
+
+        const seconds = Math.round((Date.now() - time) / 1000);
+        if (seconds < 60) return "just now";
+        const units = [
+            ["day", 86400],
+            ["hour", 3600],
+            ["minute", 60],
+        ];
+        for (const [unit, size] of units) {
+            const count = Math.floor(Math.abs(seconds) / size);
+            if (count >= 1) {
+                const text = `${count} ${unit}${count === 1 ? "" : "s"}`;
+                return seconds < 0 ? `in ${text}` : `${text} ago`;
+            }
+        }
+        return "just now";
+    },
+
     /**
      * Format duration in seconds to human readable format
      */
@@ -33,74 +89,234 @@ const Utils = {
     escapeHtml(text) {
         const div = document.createElement("div");
         div.textContent = text;
-        return div.innerHTML;
+        // textContent leaves quotes as they are, which attribute values need
+        return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
     },
 
     /**
-     * Parse ANSI color codes and convert to HTML
+     * ANSI color names in SGR order, used for the ansi-* CSS classes
+     */
+    ANSI_COLORS: ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"],
+
+    /**
+     * Parse ANSI escape sequences and convert to HTML
+     *
+     * Emulates a terminal line buffer so that carriage-return overwrites
+     * and erase-in-line sequences collapse to the final visible text, and
+     * tracks SGR state (bold, colors incl. 256-color and 24-bit, partial
+     * resets) to emit one well-formed span per run of equally styled text.
+     * Expects HTML-escaped input; entities are treated as single characters.
      */
     parseAnsiCodes(text) {
         if (!text) return "";
 
-        const ansiRegex = /\x1b\[([0-9;]*)m/g;
-        let html = text;
-        let openTags = [];
-
-        html = html.replace(ansiRegex, (match, codes) => {
-            if (!codes) return "";
-
-            const codeList = codes.split(";").map(Number);
-            let result = "";
-
-            for (const code of codeList) {
-                if (code === 0) {
-                    // Reset - close all tags
-                    result += openTags.reverse().map(() => "</span>").join("");
-                    openTags = [];
-                } else if (code === 1) {
-                    result += '<span class="ansi-bold">';
-                    openTags.push("bold");
-                } else if (code === 3) {
-                    result += '<span class="ansi-italic">';
-                    openTags.push("italic");
-                } else if (code === 4) {
-                    result += '<span class="ansi-underline">';
-                    openTags.push("underline");
-                } else if (code >= 30 && code <= 37) {
-                    const colors = [
-                        "black",
-                        "red",
-                        "green",
-                        "yellow",
-                        "blue",
-                        "magenta",
-                        "cyan",
-                        "white",
-                    ];
-                    result += `<span class="ansi-${colors[code - 30]}">`;
-                    openTags.push("color");
-                } else if (code >= 90 && code <= 97) {
-                    const colors = [
-                        "bright-black",
-                        "bright-red",
-                        "bright-green",
-                        "bright-yellow",
-                        "bright-blue",
-                        "bright-magenta",
-                        "bright-cyan",
-                        "bright-white",
-                    ];
-                    result += `<span class="ansi-${colors[code - 90]}">`;
-                    openTags.push("bright-color");
+        const tokenRegex =
+            /\x1b\[([0-9;?]*)([@-~])|\x1b[()][0-9A-Za-z]|\x1b[^[]|\r\n|\r|\n|\x08|&[a-zA-Z0-9#]+;|[^\x1b\r\n\x08&]+|[\s\S]/g;
+        const lines = [];
+        let state = Utils.createAnsiState();
+        let styleKey = "";
+        let cells = [];
+        let col = 0;
+
+        const write = (char) => {
+            while (cells.length < col) cells.push({ char: " ", style: "" });
+            cells[col] = { char, style: styleKey };
+            col++;
+        };
+
+        for (const match of text.matchAll(tokenRegex)) {
+            const token = match[0];
+
+            if (match[2] !== undefined) {
+                const params = match[1];
+                const final = match[2];
+                const n = parseInt(params) || 0;
+
+                if (final === "m") {
+                    state = Utils.applySgrCodes(state, params);
+                    styleKey = Utils.getAnsiStyleKey(state);
+                } else if (final === "K") {
+                    // Erase in line
+                    if (n === 0) {
+                        cells.length = Math.min(cells.length, col);
+                    } else if (n === 1) {
+                        for (let i = 0; i < Math.min(col, cells.length); i++) {
+                            cells[i] = { char: " ", style: "" };
+                        }
+                    } else {
+                        cells = [];
+                    }
+                } else if (final === "G") {
+                    col = Math.max(0, (n || 1) - 1);
+                } else if (final === "C") {
+                    col += n || 1;
+                } else if (final === "D") {
+                    col = Math.max(0, col - (n || 1));
                 }
+                // Other cursor movement and screen sequences are dropped
+            } else if (token === "\n" || token === "\r\n") {
+                lines.push(cells);
+                cells = [];
+                col = 0;
+            } else if (token === "\r") {
+                col = 0;
+            } else if (token === "\x08") {
+                col = Math.max(0, col - 1);
+            } else if (token[0] === "\x1b") {
+                // Unsupported escape sequence
+            } else if (token[0] === "&") {
+                write(token);
+            } else {
+                for (const char of token) write(char);
             }
+        }
+        lines.push(cells);
 
-            return result;
-        });
+        return lines.map((line) => Utils.renderAnsiLine(line)).join("\n");
+    },
+
+    /**
+     * Create the default SGR state
+     */
+    createAnsiState() {
+        return {
+            bold: false,
+            dim: false,
+            italic: false,
+            underline: false,
+            strike: false,
+            fg: null,
+            bg: null,
+        };
+    },
+
+    /**
+     * Apply a ";"-separated list of SGR parameters to a state
+     */
+    applySgrCodes(previous, params) {
+        const state = { ...previous };
+        const codes = params === "" ? [0] : params.split(";").map(Number);
+
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+
+            if (code === 0) {
+                Object.assign(state, Utils.createAnsiState());
+            } else if (code === 1) {
+                state.bold = true;
+            } else if (code === 2) {
+                state.dim = true;
+            } else if (code === 3) {
+                state.italic = true;
+            } else if (code === 4) {
+                state.underline = true;
+            } else if (code === 9) {
+                state.strike = true;
+            } else if (code === 22) {
+                state.bold = false;
+                state.dim = false;
+            } else if (code === 23) {
+                state.italic = false;
+            } else if (code === 24) {
+                state.underline = false;
+            } else if (code === 29) {
+                state.strike = false;
+            } else if (code >= 30 && code <= 37) {
+                state.fg = Utils.ANSI_COLORS[code - 30];
+            } else if (code === 39) {
+                state.fg = null;
+            } else if (code >= 40 && code <= 47) {
+                state.bg = Utils.ANSI_COLORS[code - 40];
+            } else if (code === 49) {
+                state.bg = null;
+            } else if (code >= 90 && code <= 97) {
+                state.fg = `bright-${Utils.ANSI_COLORS[code - 90]}`;
+            } else if (code >= 100 && code <= 107) {
+                state.bg = `bright-${Utils.ANSI_COLORS[code - 100]}`;
+            } else if (code === 38 || code === 48) {
+                // Extended color: 5;n (256 colors) or 2;r;g;b (24-bit)
+                let color = null;
+                if (codes[i + 1] === 5) {
+                    color = Utils.ansi256Color(codes[i + 2]);
+                    i += 2;
+                } else if (codes[i + 1] === 2) {
+                    const [r, g, b] = codes
+                        .slice(i + 2, i + 5)
+                        .map((c) => Math.min(255, Math.max(0, c || 0)));
+                    color = `rgb(${r}, ${g}, ${b})`;
+                    i += 4;
+                }
+                if (color) {
+                    state[code === 38 ? "fg" : "bg"] = color;
+                }
+            }
+        }
+
+        return state;
+    },
+
+    /**
+     * Map a 256-color palette index to a class name or rgb() color
+     */
+    ansi256Color(index) {
+        if (!Number.isInteger(index) || index < 0 || index > 255) return null;
+        if (index < 8) return Utils.ANSI_COLORS[index];
+        if (index < 16) return `bright-${Utils.ANSI_COLORS[index - 8]}`;
+        if (index < 232) {
+            const levels = [0, 95, 135, 175, 215, 255];
+            const value = index - 16;
+            const r = levels[Math.floor(value / 36)];
+            const g = levels[Math.floor(value / 6) % 6];
+            const b = levels[value % 6];
+            return `rgb(${r}, ${g}, ${b})`;
+        }
+        const gray = 8 + (index - 232) * 10;
+        return `rgb(${gray}, ${gray}, ${gray})`;
+    },
+
+    /**
+     * Build the opening span attributes for an SGR state, "" for default
+     */
+    getAnsiStyleKey(state) {
+        const classes = [];
+        const styles = [];
 
-        // Close any remaining open tags
-        html += openTags.reverse().map(() => "</span>").join("");
+        if (state.bold) classes.push("ansi-bold");
+        if (state.dim) classes.push("ansi-dim");
+        if (state.italic) classes.push("ansi-italic");
+        if (state.underline) classes.push("ansi-underline");
+        if (state.strike) classes.push("ansi-strike");
 
+        if (state.fg) {
+            if (state.fg.startsWith("rgb")) styles.push(`color: ${state.fg}`);
+            else classes.push(`ansi-${state.fg}`);
+        }
+        if (state.bg) {
+            if (state.bg.startsWith("rgb")) styles.push(`background-color: ${state.bg}`);
+            else classes.push(`ansi-bg-${state.bg}`);
+        }
+
+        let attributes = "";
+        if (classes.length) attributes += ` class="${classes.join(" ")}"`;
+        if (styles.length) attributes += ` style="${styles.join("; ")}"`;
+        return attributes;
+    },
+
+    /**
+     * Render a line of styled cells as HTML
+     */
+    renderAnsiLine(cells) {
+        let html = "";
+        let i = 0;
+        while (i < cells.length) {
+            const style = cells[i].style;
+            let run = "";
+            while (i < cells.length && cells[i].style === style) {
+                run += cells[i].char;
+                i++;
+            }
+            html += style ? `<span${style}>${run}</span>` : run;
+        }
         return html;
     },
 
@@ -124,6 +340,108 @@ const Utils = {
         }
     },
 
+    /**
+     * Remove ANSI escape sequences from text
+     */
+    stripAnsi(text) {
+        return String(text).replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "");
+    },
+
+    /**
+     * Pack text files into an uncompressed zip archive
+     *
+     * Takes a list of `{ name, content }` and returns a Blob.
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const crcTable = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            return c >>> 0;
+        });
+        const crc32 = (data) => {
+            let crc = 0xffffffff;
+            for (const byte of data) {
+                crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xffffffff) >>> 0;
+        };
+
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach((file) => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            // Version 2.0, UTF-8 names, stored without compression
+            const header = (signature, size) => {
+                const buffer = new DataView(new ArrayBuffer(size));
+                buffer.setUint32(0, signature, true);
+                return buffer;
+            };
+            const local = header(0x04034b50, 30);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+
+            const entry = header(0x02014b50, 46);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            parts.push(local, name, data);
+            central.push(entry, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: "application/zip" });
+    },
+
+    /**
+     * Download text content as a file
+     */
+    downloadFile(content, filename, type = "text/plain;charset=utf-8") {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        // Append to DOM to make click work in some browsers
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Show error message
      */
@@ -154,6 +472,32 @@ const Utils = {
         }
     },
 
+    /**
+     * Show a toast message in the corner of the page
+     */
+    showToast(html, type = "info") {
+        let container = document.getElementById("toast-container");
+        if (!container) {
+            container = document.createElement("div");
+            container.id = "toast-container";
+            container.className = "toast-container position-fixed bottom-0 end-0 p-3";
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement("div");
+        toast.className = `toast update-toast border-${type}`;
+        toast.setAttribute("role", "status");
+        toast.innerHTML = `
+            <div class="d-flex">
+                <div class="toast-body">${html}</div>
+                <button type="button" class="btn-close me-2 m-auto" data-bs-dismiss="toast"></button>
+            </div>
+        `;
+        container.appendChild(toast);
+        toast.addEventListener("hidden.bs.toast", () => toast.remove());
+        bootstrap.Toast.getOrCreateInstance(toast, { delay: CONFIG.TOAST_DELAY }).show();
+    },
+
     /**
      * Clear messages
      */
@@ -164,6 +508,21 @@ const Utils = {
         }
     },
 
+    /**
+     * Show warning message
+     */
+    showWarning(containerId, message) {
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.innerHTML = `
+                <div class="alert alert-warning" role="alert">
+                    <i class="bi bi-exclamation-circle-fill me-2"></i>
+                    ${message}
+                </div>
+            `;
+        }
+    },
+
     /**
      * Show loading state
      */
@@ -179,17 +538,151 @@ const Utils = {
         }
     },
 
+    /**
+     * Get the overall status of a parsed test report
+     */
+    getReportStatus(report) {
+        if (!report) return "nodata";
+        if (report.failures > 0 || report.errors > 0) return "failed";
+        return "pass";
+    },
+
     /**
      * Format firmware version with link if available
      */
     formatFirmwareVersion(version, device) {
         if (!version) return "Unknown";
 
-        const shortVersion = version.length > 20
-            ? version.substring(0, 20) + "..."
-            : version;
+        const parsed = Utils.parseRevision(version);
+        let text;
+        if (parsed) {
+            const prefix = version.split(parsed.revision)[0].trim();
+            text = `
+                ${prefix ? Utils.escapeHtml(prefix) : ""}
+                <a href="${Utils.escapeHtml(Utils.getCommitUrl(parsed.hash))}" target="_blank" rel="noopener noreferrer"
+                   title="Commit ${Utils.escapeHtml(parsed.hash)}">${Utils.escapeHtml(parsed.revision)}</a>
+            `;
+        } else {
+            const shortVersion = version.length > 20
+                ? version.substring(0, 20) + "..."
+                : version;
+            text = Utils.escapeHtml(shortVersion);
+        }
+
+        const imageUrl = device ? Utils.getFirmwareUrl(device) : null;
+        if (imageUrl) {
+            text += `
+                <a href="${Utils.escapeHtml(imageUrl)}" class="ms-1" target="_blank" rel="noopener noreferrer"
+                   title="Download the current ${Utils.escapeHtml(device.firmware)} image for ${Utils.escapeHtml(device.target)}"><i class="bi bi-download"></i></a>
+            `;
+        }
+
+        return `<span title="${Utils.escapeHtml(version)}">${text}</span>`;
+    },
+
+    /**
+     * Parse an OpenWrt revision like "r28123-4c3a1b2e7f" out of a firmware
+     * version
+     *
+     * Release branches add the commits since the branch point, as in
+     * "r24106+12-10cc5fcd00". Returns `{ revision, number, hash }` or null.
+     */
+    parseRevision(version) {
+        const match = /\br(\d+)(?:\+(\d+))?-([0-9a-f]{7,40})\b/.exec(version || "");
+        if (!match) return null;
+
+        return {
+            revision: match[0],
+            number: parseInt(match[1]) + parseInt(match[2] || "0"),
+            hash: match[3],
+        };
+    },
+
+    /**
+     * Get the URL of a commit in the OpenWrt source repository
+     */
+    getCommitUrl(hash) {
+        return `${CONFIG.SOURCE_URL}/commit/${hash}`;
+    },
+
+    /**
+     * Get the URL listing the commits between two revisions
+     */
+    getCompareUrl(fromHash, toHash) {
+        return `${CONFIG.SOURCE_URL}/compare/${fromHash}...${toHash}`;
+    },
+
+    /**
+     * Render a link to the commits between two firmware versions, or ""
+     * if they are the same or have no parseable revision
+     */
+    formatRevisionRange(fromVersion, toVersion) {
+        const from = Utils.parseRevision(fromVersion);
+        const to = Utils.parseRevision(toVersion);
+        if (!from || !to || from.hash === to.hash) return "";
+
+        const count = to.number - from.number;
+        const [older, newer] = count < 0 ? [to, from] : [from, to];
+        const commits = Math.abs(count);
+        const label = count < 0
+            ? `downgrade by ${commits} commit${commits === 1 ? "" : "s"}`
+            : `${commits} commit${commits === 1 ? "" : "s"}`;
+
+        return `
+            <a href="${Utils.escapeHtml(Utils.getCompareUrl(older.hash, newer.hash))}" class="text-nowrap" target="_blank" rel="noopener noreferrer"
+               title="Commits between ${Utils.escapeHtml(older.revision)} and ${Utils.escapeHtml(newer.revision)}">
+                <i class="bi bi-git"></i> ${Utils.escapeHtml(from.revision)} &rarr; ${Utils.escapeHtml(to.revision)}</a>
+            <small class="text-muted">(${label})</small>
+        `;
+    },
+
+    /**
+     * Get the release number of a device, or null for snapshots
+     *
+     * Uses `version_name` from devices.json and falls back to the firmware
+     * version reported by the last test run.
+     */
+    getRelease(device) {
+        const candidates = [
+            device.version_name,
+            device.report && device.report.firmware_version,
+        ];
+        for (const candidate of candidates) {
+            const match = /\b(\d+\.\d+\.\d+(?:-rc\d+)?)\b/.exec(candidate || "");
+            if (match) return match[1];
+        }
+        return null;
+    },
+
+    /**
+     * Build the download URL of the firmware image of a device
+     *
+     * Returns null if the release of a non-snapshot version is unknown.
+     */
+    getFirmwareUrl(device, version = device.version_name) {
+        if (!device.target || !device.firmware) return null;
+
+        const [target, subtarget = "generic"] = device.target.split("-");
+        const board = `${target}-${subtarget}-${device.device}-${device.firmware}`;
 
-        return `<span title="${Utils.escapeHtml(version)}">${Utils.escapeHtml(shortVersion)}</span>`;
+        if (!version || version === "snapshot") {
+            return `${CONFIG.FIRMWARE_BASE_URL}/snapshots/targets/${target}/${subtarget}/openwrt-${board}`;
+        }
+
+        const release = Utils.getRelease(device);
+        if (!release) return null;
+        return `${CONFIG.FIRMWARE_BASE_URL}/releases/${release}/targets/${target}/${subtarget}/openwrt-${release}-${board}`;
+    },
+
+    /**
+     * Get a short hash of a text, e.g. to detect changes
+     */
+    hashText(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${text.length}:${hash}`;
     },
 
     /**
@@ -207,6 +700,66 @@ const Utils = {
         };
     },
 
+    /**
+     * Check that a base URL override is an absolute http(s) URL
+     */
+    isValidBaseUrl(url) {
+        if (!url || !/^https?:\/\//i.test(url)) return false;
+        try {
+            new URL(url);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    },
+
+    /**
+     * Get the results base URL, honoring a ?base= or saved override
+     *
+     * Overrides that are not http(s) URLs are ignored.
+     */
+    getBaseUrl() {
+        const params = new URLSearchParams(window.location.search);
+        let override = params.get("base");
+        if (!Utils.isValidBaseUrl(override)) {
+            override = null;
+            try {
+                override = localStorage.getItem(CONFIG.BASE_URL_STORAGE_KEY);
+            } catch (err) {
+                // localStorage is unavailable, e.g. in private mode
+            }
+        }
+        if (!Utils.isValidBaseUrl(override)) override = null;
+        return (override || CONFIG.BASE_URL).replace(/\/+$/, "");
+    },
+
+    /**
+     * Save or clear the base URL override
+     */
+    setBaseUrl(baseUrl) {
+        try {
+            if (baseUrl) {
+                localStorage.setItem(CONFIG.BASE_URL_STORAGE_KEY, baseUrl);
+            } else {
+                localStorage.removeItem(CONFIG.BASE_URL_STORAGE_KEY);
+            }
+            return true;
+        } catch (err) {
+            console.error("Failed to save base URL:", err);
+            return false;
+        }
+    },
+
+    /**
+     * Register the service worker that keeps the dashboard available offline
+     */
+    registerServiceWorker(url) {
+        if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+        navigator.serviceWorker.register(url).catch((error) => {
+            console.warn("Service worker registration failed:", error);
+        });
+    },
+
     /**
      * Get URL parameters
      */
@@ -0,0 +1,179 @@
+// Embeddable summary widget for OpenWrt Test Dashboard
+
+class SummaryWidget {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    // Embedded status must be current; the cache only serves when offline
+    this.dataSource = CachedDataSource.wrap(new RemoteDataSource(baseUrl), {
+      networkFirst: true,
+    });
+    this.queue = new FetchQueue();
+    this.versions = [];
+    // Devices with their latest report, by version name
+    this.devices = {};
+    // Only show this device, e.g. on its wiki page
+    this.deviceId = null;
+  }
+
+  /**
+   * Load versions.json and the results of every version
+   */
+  async load() {
+    try {
+      Utils.clearMessages("error-container");
+      Utils.showLoading("widget-container", "Loading results...");
+
+      const response = await this.dataSource.fetch("versions.json");
+      if (!response.ok) {
+        throw new Error(
+          `Failed to load versions.json: ${response.status} ${response.statusText}`,
+        );
+      }
+
+      const { versions } = Inventory.validateVersions(await response.json());
+      this.versions = versions;
+
+      await Promise.all(
+        this.versions.map(async (version) => {
+          try {
+            this.devices[version.name] = await this.loadVersion(version);
+          } catch (error) {
+            console.warn(`Failed to load devices for ${version.name}:`, error);
+            this.devices[version.name] = [];
+          }
+        }),
+      );
+
+      this.render();
+      return this.devices;
+    } catch (error) {
+      console.error("Error loading widget:", error);
+      Utils.showError(
+        "error-container",
+        `Failed to load test results: ${Utils.escapeHtml(error.message)}`,
+      );
+      Utils.clearMessages("widget-container");
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a resource of a version through the request queue
+   */
+  fetchResource(version, path) {
+    return this.queue.fetch((signal) =>
+      this.dataSource.fetch(`${version.name}/${path}`, { signal }),
+    );
+  }
+
+  /**
+   * Load the devices of a version that are shown, with their latest report
+   *
+   * Only devices.json and the report of each device are fetched; a missing
+   * or broken report leaves the device without one.
+   */
+  async loadVersion(version) {
+    const response = await this.fetchResource(version, "devices.json");
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load devices.json: ${response.status} ${response.statusText}`,
+      );
+    }
+
+    const { devices } = Inventory.validateDevices(
+      await response.json(),
+      version.name,
+    );
+    const shown = this.deviceId
+      ? devices.filter((d) => d.device === this.deviceId)
+      : devices;
+
+    await Promise.all(
+      shown.map(async (device) => {
+        device.report = null;
+        try {
+          const report = await this.fetchResource(
+            version,
+            `${Inventory.getResultsPath(device)}/report.xml`,
+          );
+          if (report.ok) device.report = JUnit.parse(await report.text());
+        } catch (error) {
+          console.warn(`Failed to load the report of ${device.device}:`, error);
+        }
+      }),
+    );
+    return shown;
+  }
+
+  /**
+   * Get the devices shown for a version
+   */
+  getDevices(version) {
+    return this.devices[version.name] || [];
+  }
+
+  /**
+   * Get the link to a version, or to the device within it
+   */
+  getLink(version) {
+    const path = version.path.replace(/\/?$/, "/");
+    const link = new URL(`../${path}`, window.location.href);
+    const base = new URL(window.location.href).searchParams.get("base");
+    if (base) link.searchParams.set("base", base);
+    if (this.deviceId) link.searchParams.set("device", this.deviceId);
+    return link.toString();
+  }
+
+  /**
+   * Render one row per version with its pass state
+   */
+  render() {
+    const container = document.getElementById("widget-container");
+    const rows = this.versions
+      .map((version) => {
+        const devices = this.getDevices(version);
+        if (this.deviceId && devices.length === 0) return "";
+
+        const counts = BadgeGenerator.getCounts(devices);
+        const color = BadgeGenerator.getColor(counts);
+        const latest = devices
+          .map((d) => d.report && Date.parse(d.report.timestamp))
+          .filter(Boolean)
+          .sort((a, b) => b - a)[0];
+        const details = this.deviceId
+          ? Utils.escapeHtml(
+              latest ? Utils.formatRelativeTime(latest) : "not tested",
+            )
+          : `${counts.passingDevices}/${counts.devices} devices passing`;
+
+        return `
+                <a href="${Utils.escapeHtml(this.getLink(version))}" target="_top" class="widget-row">
+                    <span class="widget-dot" style="background-color: ${color}"></span>
+                    <span class="widget-version">${Utils.escapeHtml(version.title)}</span>
+                    <span class="widget-tests">${BadgeGenerator.getMessage(counts)}</span>
+                    <small class="widget-details text-muted">${details}</small>
+                </a>
+            `;
+      })
+      .join("");
+
+    const version = this.versions.find(
+      (v) => this.deviceId && this.getDevices(v).length > 0,
+    );
+    const device = version && this.getDevices(version)[0];
+    const title = device ? device.name || device.device : "OpenWrt tests";
+
+    container.innerHTML = `
+            <div class="widget-title">
+                <i class="bi bi-router-fill me-1"></i>
+                ${Utils.escapeHtml(title)}
+            </div>
+            ${rows || '<p class="text-muted small mb-0">No test results</p>'}
+        `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SummaryWidget;
+}
@@ -0,0 +1,116 @@
+// Service worker for OpenWrt Test Dashboard
+//
+// Keeps the pages, scripts, styles and CDN assets of the dashboard available
+// offline. Result data is cached in IndexedDB by CachedDataSource and is not
+// handled here.
+
+const CACHE_NAME = "openwrt-tests-v8";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "snapshot/index.html",
+  "stable/index.html",
+  "oldstable/index.html",
+  "compare/index.html",
+  "widget/index.html",
+  "css/styles.css",
+  "js/utils.js",
+  "js/datasource.js",
+  "js/cache.js",
+  "js/fetchqueue.js",
+  "js/junit.js",
+  "js/inventory.js",
+  "js/history.js",
+  "js/flaky.js",
+  "js/tests.js",
+  "js/logviewer.js",
+  "js/logdiff.js",
+  "js/devicepage.js",
+  "js/export.js",
+  "js/issue.js",
+  "js/labgrid.js",
+  "js/updates.js",
+  "js/durations.js",
+  "js/clusters.js",
+  "js/labs.js",
+  "js/freshness.js",
+  "js/badges.js",
+  "js/devices.js",
+  "js/compare.js",
+  "js/widget.js",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js",
+  "https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css",
+];
+
+// Only page resources are cached, fetch() requests for results are not
+const CACHED_DESTINATIONS = ["document", "script", "style", "font"];
+
+self.addEventListener("install", (event) => {
+  // A single unavailable file must not prevent the installation
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        Promise.allSettled(APP_SHELL.map((url) => cache.add(url))),
+      )
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (
+    request.method !== "GET" ||
+    !CACHED_DESTINATIONS.includes(request.destination)
+  ) {
+    return;
+  }
+
+  // Serve from the cache and update it in the background
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      // Pages are cached without their query, e.g. ?device=
+      const cached = await cache.match(request, {
+        ignoreSearch: request.destination === "document",
+      });
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const key =
+              request.destination === "document"
+                ? request.url.split(/[?#]/)[0]
+                : request;
+            cache.put(key, response.clone());
+          }
+          return response;
+        })
+        .catch((error) => {
+          if (cached) return cached;
+          throw error;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network;
+    }),
+  );
+});